@@ -4,8 +4,8 @@
   const VERSION = "v0.6.0 (Individual Message Toggle Switches)";
 
   // --- Storage adapter (prefers page localStorage, falls back to TM storage) ---
-  const Storage = (() => {
-    // Page localStorage first
+  // Each backend returns null when this page can't use it
+  function createLocalStorageBackend() {
     try {
       if (window && window.localStorage) {
         const testKey = "__wl_test__";
@@ -24,8 +24,10 @@
     } catch (_) {
       /* fall through to TM storage */
     }
+    return null;
+  }
 
-    // Tampermonkey value storage
+  function createTampermonkeyBackend() {
     try {
       // @ts-ignore
       if (
@@ -48,8 +50,11 @@
     } catch (_) {
       /* ignore */
     }
+    return null;
+  }
 
-    // Last resort in-memory (non-persistent)
+  // Last resort in-memory (non-persistent)
+  function createMemoryBackend() {
     const mem = new Map();
     return {
       type: "memory",
@@ -57,12 +62,28 @@
       set: (k, v) => mem.set(k, v),
       remove: (k) => mem.delete(k),
     };
-  })();
+  }
+
+  const Storage = createLocalStorageBackend() || createTampermonkeyBackend() || createMemoryBackend();
 
   // --- Storage keys & defaults ---
   const STORAGE_KEY = "tm_discord_whitelist_filter_v1";
   const COLLECTIONS_KEY = "tm_discord_whitelist_collections_v1";
   const CONFIG_KEY = "tm_discord_whitelist_config_v1";
+  const TOGGLE_OVERRIDES_KEY = "tm_discord_whitelist_toggles_v1";
+  // Backups go to IndexedDB when available, like collections; this key is the fallback. There
+  // they share the quota with the collections, so fewer are kept and their total size is capped.
+  const BACKUPS_KEY = "tm_discord_whitelist_backups_v1";
+  const FALLBACK_MAX_BACKUPS = 2; // of each kind, see storagePreferences
+  const FALLBACK_BACKUP_BUDGET = 1024 * 1024; // characters of JSON
+  // Schema version of the data under the keys above and in IndexedDB (see SCHEMA_MIGRATIONS)
+  const SCHEMA_KEY = "tm_discord_whitelist_schema_v1";
+  const SCHEMA_VERSION = 3;
+
+  // Collections live in IndexedDB (one record per collection and per entry) when the page allows
+  // it; otherwise they stay under COLLECTIONS_KEY in the Storage adapter above
+  const IDB_NAME = "tm_discord_whitelist";
+  const IDB_VERSION = 2;
 
   const DEFAULTS = {
     whitelist: [],
@@ -81,13 +102,94 @@
       enabled: true,
       hardHide: false,
       showAllTemp: false,
+      // Fold runs of adjacent filtered messages into one "N messages hidden" bar
+      groupHidden: false,
+      // Messages further than this (px) outside the visible chat wait until scrolled closer
+      viewportMargin: 800,
+      // Messages revealed with their toggle switch: at most maxEntries (least recently used go
+      // first), each forgotten maxAgeDays after it was revealed (0 keeps them until evicted)
+      toggleOverrides: {
+        maxEntries: 500,
+        maxAgeDays: 30,
+      },
+      // Never filter; only decorate listed authors
+      highlightOnly: false,
+      highlight: {
+        border: true,
+        tint: true,
+        badge: true,
+      },
+      // Filtered messages that are shown anyway because they involve the current user
+      exemptions: {
+        mentions: true,
+        replies: true,
+        ownThreads: true,
+        // Opt-in: replies to listed users, shown dimmed so conversations can be followed
+        conversationContext: false,
+      },
+    },
+    // Per-channel / per-server display mode, keyed by Discord ID: { mode, label }
+    displayOverrides: {
+      channels: {},
+      guilds: {},
     },
+    // Selector pack loaded by the user; null uses the built-in selectors
+    selectorPack: null,
+    // autoBackup snapshots collections and config before destructive operations and, checked every
+    // syncFrequency ms, once changes have settled. The newest maxBackups scheduled snapshots are
+    // kept, and separately the newest maxBackups of the others, so routine saves can't push out
+    // the snapshot taken before a clear or delete (fewer without IndexedDB, see BACKUPS_KEY)
     storagePreferences: {
       autoBackup: true,
       syncFrequency: 5000,
+      maxBackups: 10,
     },
   };
 
+  // Per-collection list semantics: show only listed users, or hide only listed users
+  const LIST_MODES = {
+    whitelist: 'whitelist',
+    blacklist: 'blacklist',
+  };
+
+  // How the active collection combines with additional active collections
+  const COMBINATION_MODES = {
+    single: 'single',
+    union: 'union',
+    intersection: 'intersection',
+    exclusion: 'exclusion',
+  };
+
+  // Display modes a channel or server can force, replacing the global display mode there
+  const DISPLAY_OVERRIDE_MODES = {
+    off: 'off',
+    collapse: 'collapse',
+    group: 'group',
+    highlight: 'highlight',
+    hide: 'hide',
+  };
+
+  // Accent for highlighted authors when a collection has no colour of its own
+  const DEFAULT_ACCENT_COLOR = '#7289da';
+
+  // Outcomes of a filter rule. "list" defers to the collection's list mode (and exemptions).
+  const RULE_ACTIONS = {
+    show: 'show',
+    collapse: 'collapse',
+    hide: 'hide',
+    list: 'list',
+  };
+
+  // Message features a "has ..." rule condition can test for
+  const RULE_FEATURES = ['attachment', 'embed', 'link', 'mention'];
+
+  // Presets offered for temporary entries (context menu quick picks)
+  const TEMPORARY_DURATIONS = [
+    { label: '1h', ms: 60 * 60 * 1000 },
+    { label: '24h', ms: 24 * 60 * 60 * 1000 },
+    { label: '7d', ms: 7 * 24 * 60 * 60 * 1000 },
+  ];
+
   // --- Helpers: logging ---
   const DEBUG = true;
   function log(...args) {
@@ -144,32 +246,376 @@
     return String(username).trim();
   }
 
+  const MAX_PATTERN_LENGTH = 200;
+
+  // Entry syntax: "/regex/flags" is a regular expression, "*" or "?" make a glob, anything else is a literal name
+  function parseEntryPattern(text) {
+    const value = normalizeUsername(text);
+    const regexMatch = value.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+      return { type: 'regex', source: regexMatch[1], flags: regexMatch[2] };
+    }
+    if (/[*?]/.test(value)) {
+      return { type: 'glob', source: value, flags: '' };
+    }
+    return { type: 'literal', source: value, flags: '' };
+  }
+
+  function compileEntryPattern(text, options = {}) {
+    const pattern = parseEntryPattern(text);
+
+    if (pattern.type === 'glob') {
+      const body = pattern.source
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+      return new RegExp(`^${body}$`, options.caseSensitive ? '' : 'i');
+    }
+
+    if (pattern.type === 'regex') {
+      // Stateful flags would make repeated .test() calls unreliable
+      const invalidFlags = pattern.flags.replace(/[imsu]/g, '');
+      if (invalidFlags) {
+        throw new Error(`Invalid pattern "${text}": unsupported flags "${invalidFlags}"`);
+      }
+      try {
+        return new RegExp(pattern.source, pattern.flags);
+      } catch (e) {
+        throw new Error(`Invalid pattern "${text}": ${e.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  // Returns { valid, type, error } for a raw editor/API entry
+  function validateEntryText(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return { valid: false, type: 'literal', error: 'Empty entry' };
+    }
+
+    const { type } = parseEntryPattern(text);
+    if (type === 'literal') {
+      return validateUsername(text)
+        ? { valid: true, type, error: null }
+        : { valid: false, type, error: 'Invalid username format' };
+    }
+
+    if (normalizeUsername(text).length > MAX_PATTERN_LENGTH) {
+      return { valid: false, type, error: `Pattern longer than ${MAX_PATTERN_LENGTH} characters` };
+    }
+
+    try {
+      compileEntryPattern(text);
+      return { valid: true, type, error: null };
+    } catch (e) {
+      return { valid: false, type, error: e.message };
+    }
+  }
+
+  // Rule syntax, one per line:  <condition> [AND <condition> ...] -> <action>   or   default -> <action>
+  // Conditions: author in list | author = name | channel = #name | server = id | role = name |
+  //             has attachment|embed|link|mention | is reply | content contains text | content matches /re/
+  // Any condition can be prefixed with "not"; "=" also accepts "!=". Quote values that contain " AND ".
+  function splitRuleConditions(text) {
+    const parts = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"') inQuotes = !inQuotes;
+
+      if (!inQuotes && /^\s+and\s+/i.test(text.slice(i)) && current.trim()) {
+        parts.push(current.trim());
+        current = '';
+        i += text.slice(i).match(/^\s+and\s+/i)[0].length - 1;
+        continue;
+      }
+      current += char;
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+
+  function unquoteRuleValue(value) {
+    const trimmed = value.trim();
+    return /^"(.*)"$/.test(trimmed) ? trimmed.slice(1, -1) : trimmed;
+  }
+
+  function parseRuleCondition(text) {
+    let negate = false;
+    let body = text.trim();
+    const notMatch = body.match(/^not\s+(.+)$/i);
+    if (notMatch) {
+      negate = true;
+      body = notMatch[1];
+    }
+
+    let match;
+    if (/^author\s+in\s+list$/i.test(body)) {
+      return { field: 'author', op: 'in', value: 'list', negate };
+    }
+    if ((match = body.match(/^(author|channel|server|role)\s*(!=|=)\s*(.+)$/i))) {
+      return { field: match[1].toLowerCase(), op: '=', value: unquoteRuleValue(match[3]), negate: negate !== (match[2] === '!=') };
+    }
+    if ((match = body.match(/^has\s+(\w+)$/i))) {
+      const feature = match[1].toLowerCase();
+      if (!RULE_FEATURES.includes(feature)) {
+        throw new Error(`Unknown feature "${match[1]}" (expected ${RULE_FEATURES.join(', ')})`);
+      }
+      return { field: 'has', op: 'is', value: feature, negate };
+    }
+    if (/^is\s+reply$/i.test(body)) {
+      return { field: 'is', op: 'is', value: 'reply', negate };
+    }
+    if ((match = body.match(/^content\s+(contains|matches)\s+(.+)$/i))) {
+      return { field: 'content', op: match[1].toLowerCase(), value: unquoteRuleValue(match[2]), negate };
+    }
+
+    throw new Error(`Unknown condition "${text.trim()}"`);
+  }
+
+  // Returns { default: true, action } for a "default -> action" line, otherwise { conditions, action }
+  function parseRule(line) {
+    const match = String(line).trim().match(/^(.+?)\s*(?:->|=>|→)\s*(\w+)$/);
+    if (!match) {
+      throw new Error(`Invalid rule "${line}": expected "<condition> -> <action>"`);
+    }
+
+    const action = match[2].toLowerCase();
+    if (!Object.values(RULE_ACTIONS).includes(action)) {
+      throw new Error(`Invalid rule "${line}": unknown action "${match[2]}"`);
+    }
+
+    if (/^default$/i.test(match[1].trim())) {
+      return { default: true, action };
+    }
+
+    try {
+      return { conditions: splitRuleConditions(match[1]).map(parseRuleCondition), action };
+    } catch (e) {
+      throw new Error(`Invalid rule "${line}": ${e.message}`);
+    }
+  }
+
+  function formatRuleCondition(condition) {
+    const value = /\s+and\s+/i.test(condition.value) ? `"${condition.value}"` : condition.value;
+    switch (condition.field) {
+      case 'author':
+        if (condition.op === 'in') return `${condition.negate ? 'not ' : ''}author in list`;
+        return `author ${condition.negate ? '!=' : '='} ${value}`;
+      case 'channel':
+      case 'server':
+      case 'role':
+        return `${condition.field} ${condition.negate ? '!=' : '='} ${value}`;
+      case 'has':
+      case 'is':
+        return `${condition.negate ? 'not ' : ''}${condition.field} ${condition.value}`;
+      default:
+        return `${condition.negate ? 'not ' : ''}${condition.field} ${condition.op} ${value}`;
+    }
+  }
+
+  function formatRule(rule) {
+    if (rule.default) return `default -> ${rule.action}`;
+    return `${rule.conditions.map(formatRuleCondition).join(' AND ')} -> ${rule.action}`;
+  }
+
+  // Compiles one condition into a predicate over MessageFacts; throws on invalid input
+  function compileRuleCondition(condition) {
+    const value = String(condition.value || '').trim();
+    if (!value) {
+      throw new Error(`Empty value for "${condition.field}"`);
+    }
+    if (value.length > MAX_PATTERN_LENGTH) {
+      throw new Error(`Value longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+
+    const lower = value.toLowerCase();
+    let test;
+    switch (condition.field) {
+      case 'author':
+        test = condition.op === 'in'
+          ? (facts) => facts.isListed
+          : (facts) => facts.userId === value || (facts.username || '').toLowerCase() === lower;
+        break;
+      case 'channel': {
+        const channel = lower.replace(/^#/, '');
+        test = (facts) => facts.route.channelId === channel || (facts.channelName || '').toLowerCase() === channel;
+        break;
+      }
+      case 'server':
+        test = (facts) => facts.route.guildId === value;
+        break;
+      case 'role':
+        test = (facts) => facts.roles.some(role => role.toLowerCase() === lower);
+        break;
+      case 'has':
+        if (!RULE_FEATURES.includes(value)) throw new Error(`Unknown feature "${value}"`);
+        test = (facts) => facts.has(value);
+        break;
+      case 'is':
+        test = (facts) => facts.isReply;
+        break;
+      case 'content':
+        if (condition.op === 'matches') {
+          if (parseEntryPattern(value).type !== 'regex') {
+            throw new Error(`"content matches" needs a /regex/, got "${value}"`);
+          }
+          const regex = compileEntryPattern(value);
+          test = (facts) => regex.test(facts.content);
+        } else {
+          test = (facts) => facts.content.toLowerCase().includes(lower);
+        }
+        break;
+      default:
+        throw new Error(`Unknown condition field "${condition.field}"`);
+    }
+
+    return condition.negate ? (facts) => !test(facts) : test;
+  }
+
+  // Discord user IDs are numeric snowflakes (17-20 digits)
+  function isValidUserId(userId) {
+    return typeof userId === 'string' && /^\d{17,20}$/.test(userId);
+  }
+
+  function extractUserIdFromAvatarUrl(url) {
+    if (!url) return null;
+    // Covers both /avatars/<id>/<hash> and per-server /guilds/<guild>/users/<id>/avatars/<hash>.
+    // Default avatars (/embed/avatars/N.png) carry no ID and are ignored.
+    const match = String(url).match(/\/(?:avatars|users)\/(\d{17,20})\//);
+    return match ? match[1] : null;
+  }
+
+  // Parses /channels/<guild>/<channel>; DMs use "@me" as the guild segment
+  function parseDiscordRoute(pathname = window.location.pathname) {
+    const match = String(pathname).match(/^\/channels\/(@me|\d{17,20})(?:\/(\d{17,20}))?/);
+    return {
+      guildId: match ? match[1] : null,
+      channelId: match && match[2] ? match[2] : null,
+    };
+  }
+
+  // Link to a message from its list item ID (chat-messages-<channelId>-<messageId>)
+  function buildMessageLink(messageElementId, guildId = null) {
+    const match = String(messageElementId).match(/^chat-messages-(\d+)-(\d+)$/);
+    if (!match) return null;
+    return `/channels/${guildId || '@me'}/${match[1]}/${match[2]}`;
+  }
+
+  function isValidScopeId(id) {
+    return id === '@me' || isValidUserId(id);
+  }
+
+  function isValidHexColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+  }
+
+  function hexToRgba(hex, alpha) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+  }
+
+  // requestIdleCallback where the browser has it; otherwise the next task with a nominal budget
+  function scheduleIdle(callback, timeout = 100) {
+    if (typeof window.requestIdleCallback === 'function') {
+      return window.requestIdleCallback(callback, { timeout });
+    }
+    return setTimeout(() => callback({ didTimeout: false, timeRemaining: () => 8 }), 1);
+  }
+
+  function cancelIdle(handle) {
+    if (typeof window.cancelIdleCallback === 'function') {
+      window.cancelIdleCallback(handle);
+    } else {
+      clearTimeout(handle);
+    }
+  }
+
+  // Nearest ancestor that actually scrolls; intersection margins only work against that
+  function findScrollContainer(element) {
+    for (let node = element.parentElement; node && node !== document.body; node = node.parentElement) {
+      const { overflowY } = window.getComputedStyle(node);
+      if (overflowY === 'auto' || overflowY === 'scroll') return node;
+    }
+    return null;
+  }
+
+  // Name of the open channel from its header, falling back to the "#name" in the page title
+  function getCurrentChannelName() {
+    const heading = document.querySelector(MESSAGE_SELECTORS.channelName);
+    const fromTitle = (document.title || '').match(/#([^\s|]+)/);
+    return (heading?.textContent || (fromTitle && fromTitle[1]) || '').trim().replace(/^#/, '');
+  }
+
+  // Compact "2d 3h" / "45m" style label for the time left on a temporary entry
+  function formatTimeRemaining(ms) {
+    if (ms <= 0) return 'expired';
+
+    const minutes = Math.ceil(ms / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    const mins = minutes % 60;
+
+    if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+    if (hours > 0) return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
+    return `${mins}m`;
+  }
+
+  // Raised when an add would push a collection past its maxEntries limit
+  class EntryLimitError extends Error {
+    constructor(limit, collectionId) {
+      super(`Maximum ${limit} entries allowed per collection`);
+      this.name = 'EntryLimitError';
+      this.code = 'ENTRY_LIMIT';
+      this.limit = limit;
+      this.collection = collectionId;
+    }
+  }
+
   // --- Data Models ---
   class WhitelistEntry {
     constructor(username, options = {}) {
       this.username = normalizeUsername(username);
+      this.type = parseEntryPattern(this.username).type; // 'literal' | 'glob' | 'regex'
       this.dateAdded = options.dateAdded || new Date();
       this.lastSeen = options.lastSeen || null;
       this.source = options.source || 'manual';
       this.notes = options.notes || '';
+      // Stable Discord user ID; survives nickname changes and disambiguates shared display names
+      this.userId = isValidUserId(options.userId) ? options.userId : null;
+      // Optional end of a temporary entry; null means permanent
+      const expiresAt = options.expiresAt ? new Date(options.expiresAt) : null;
+      this.expiresAt = expiresAt && !isNaN(expiresAt.getTime()) ? expiresAt : null;
+    }
+
+    isExpired(now = Date.now()) {
+      return this.expiresAt !== null && this.expiresAt.getTime() <= now;
     }
 
     toJSON() {
       return {
         username: this.username,
+        type: this.type,
+        userId: this.userId,
         dateAdded: this.dateAdded,
         lastSeen: this.lastSeen,
         source: this.source,
         notes: this.notes,
+        expiresAt: this.expiresAt,
       };
     }
 
     static fromJSON(data) {
       return new WhitelistEntry(data.username, {
+        userId: data.userId,
         dateAdded: new Date(data.dateAdded),
         lastSeen: data.lastSeen ? new Date(data.lastSeen) : null,
         source: data.source,
         notes: data.notes,
+        expiresAt: data.expiresAt || null,
       });
     }
   }
@@ -187,13 +633,79 @@
       };
     }
 
+    isCaseSensitive() {
+      return this.settings.caseSensitive === true;
+    }
+
+    getAccentColor() {
+      return isValidHexColor(this.settings.accentColor) ? this.settings.accentColor : DEFAULT_ACCENT_COLOR;
+    }
+
+    setAccentColor(color) {
+      if (!isValidHexColor(color)) {
+        throw new Error(`Invalid colour: ${color} (expected #rrggbb)`);
+      }
+      this.settings.accentColor = color.toLowerCase();
+      this.metadata.modified = new Date();
+    }
+
+    // Lookup key for a plain display name under this collection's case rules
+    nameKey(username) {
+      const normalizedName = normalizeUsername(username);
+      return this.isCaseSensitive() ? normalizedName : normalizedName.toLowerCase();
+    }
+
+    // Literal names and globs follow the case setting; regex entries keep their exact text
+    keyFor(username) {
+      const normalizedName = normalizeUsername(username);
+      return parseEntryPattern(normalizedName).type === 'regex' ? normalizedName : this.nameKey(normalizedName);
+    }
+
+    // Groups of entries that would share one key if matching became case-insensitive
+    getCaseCollisions() {
+      const groups = new Map();
+      this.getEntries().forEach(entry => {
+        if (entry.type === 'regex') return;
+        const key = entry.username.toLowerCase();
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry.username);
+      });
+      return Array.from(groups.values()).filter(names => names.length > 1);
+    }
+
+    // Re-keys every entry; on collisions the entry listed first wins and the rest are dropped
+    setCaseSensitive(caseSensitive) {
+      const next = caseSensitive === true;
+      if (this.isCaseSensitive() === next) {
+        return { changed: false, merged: [] };
+      }
+
+      const entries = this.getEntries();
+      const merged = [];
+
+      this.settings.caseSensitive = next;
+      this.entries.clear();
+      entries.forEach(entry => {
+        const key = this.keyFor(entry.username);
+        if (this.entries.has(key)) {
+          merged.push(entry.username);
+          return;
+        }
+        this.entries.set(key, entry);
+      });
+
+      this.metadata.modified = new Date();
+      return { changed: true, merged };
+    }
+
     addEntry(username, options = {}) {
-      if (!validateUsername(username)) {
-        throw new Error('Invalid username format');
+      const validation = validateEntryText(username);
+      if (!validation.valid) {
+        throw new Error(validation.error);
       }
 
       const normalizedName = normalizeUsername(username);
-      const key = normalizedName.toLowerCase();
+      const key = this.keyFor(normalizedName);
 
       if (this.entries.has(key)) {
         return false; // Already exists
@@ -206,7 +718,7 @@
     }
 
     removeEntry(username) {
-      const key = normalizeUsername(username).toLowerCase();
+      const key = this.keyFor(username);
       const removed = this.entries.delete(key);
       if (removed) {
         this.metadata.modified = new Date();
@@ -215,13 +727,11 @@
     }
 
     hasEntry(username) {
-      const key = normalizeUsername(username).toLowerCase();
-      return this.entries.has(key);
+      return this.entries.has(this.keyFor(username));
     }
 
     getEntry(username) {
-      const key = normalizeUsername(username).toLowerCase();
-      return this.entries.get(key) || null;
+      return this.entries.get(this.keyFor(username)) || null;
     }
 
     getEntries() {
@@ -237,6 +747,114 @@
       return this.entries.size;
     }
 
+    getScope() {
+      const scope = this.settings.scope || {};
+      return {
+        guildIds: Array.isArray(scope.guildIds) ? [...scope.guildIds] : [],
+        channelIds: Array.isArray(scope.channelIds) ? [...scope.channelIds] : [],
+      };
+    }
+
+    setScope(scope = {}) {
+      const guildIds = [...new Set((scope.guildIds || []).map(String))];
+      const channelIds = [...new Set((scope.channelIds || []).map(String))];
+
+      const invalid = [...guildIds, ...channelIds].filter(id => !isValidScopeId(id));
+      if (invalid.length > 0) {
+        throw new Error(`Invalid server/channel ID: ${invalid.join(', ')}`);
+      }
+
+      this.settings.scope = { guildIds, channelIds };
+      this.metadata.modified = new Date();
+    }
+
+    getListMode() {
+      return this.settings.listMode === LIST_MODES.blacklist ? LIST_MODES.blacklist : LIST_MODES.whitelist;
+    }
+
+    setListMode(mode) {
+      if (!Object.values(LIST_MODES).includes(mode)) {
+        throw new Error(`Invalid list mode: ${mode}`);
+      }
+      this.settings.listMode = mode;
+      this.metadata.modified = new Date();
+    }
+
+    getRules() {
+      return Array.isArray(this.settings.rules)
+        ? this.settings.rules.map(rule => ({ ...rule, conditions: rule.conditions.map(c => ({ ...c })) }))
+        : [];
+    }
+
+    getDefaultAction() {
+      return Object.values(RULE_ACTIONS).includes(this.settings.defaultAction)
+        ? this.settings.defaultAction
+        : RULE_ACTIONS.list;
+    }
+
+    // Throws on the first invalid rule so a bad edit never replaces a working list
+    setRules(rules, defaultAction = this.getDefaultAction()) {
+      if (!Object.values(RULE_ACTIONS).includes(defaultAction)) {
+        throw new Error(`Invalid default action: ${defaultAction}`);
+      }
+
+      const normalized = rules.map(rule => {
+        if (!Object.values(RULE_ACTIONS).includes(rule.action)) {
+          throw new Error(`Invalid rule action: ${rule.action}`);
+        }
+        if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+          throw new Error('A rule needs at least one condition');
+        }
+        const conditions = rule.conditions.map(({ field, op, value, negate }) => ({ field, op, value, negate: !!negate }));
+        conditions.forEach(compileRuleCondition);
+        return { conditions, action: rule.action };
+      });
+
+      this.settings.rules = normalized;
+      this.settings.defaultAction = defaultAction;
+      this.metadata.modified = new Date();
+      return normalized;
+    }
+
+    // Content rules (show/hide by keyword or regex) predate the rule list; hide rules
+    // used to win over show rules, so they go first to keep first-match-wins equivalent
+    migrateContentRules() {
+      if (!Array.isArray(this.settings.contentRules)) return false;
+
+      const toRule = ({ action, pattern }) => ({
+        conditions: [{
+          field: 'content',
+          op: parseEntryPattern(pattern).type === 'regex' ? 'matches' : 'contains',
+          value: pattern,
+          negate: false,
+        }],
+        action,
+      });
+      const legacy = this.settings.contentRules;
+      const migrated = [
+        ...legacy.filter(rule => rule.action === RULE_ACTIONS.hide),
+        ...legacy.filter(rule => rule.action === RULE_ACTIONS.show),
+      ].map(toRule);
+
+      this.settings.rules = [...migrated, ...this.getRules()];
+      delete this.settings.contentRules;
+      return true;
+    }
+
+    isScoped() {
+      const { guildIds, channelIds } = this.getScope();
+      return guildIds.length > 0 || channelIds.length > 0;
+    }
+
+    // 2 = channel match, 1 = server match, 0 = no match (channel bindings are more specific)
+    matchRoute(route) {
+      if (!route) return 0;
+      const { guildIds, channelIds } = this.getScope();
+      if (route.channelId && channelIds.includes(route.channelId)) return 2;
+      if (route.guildId && guildIds.includes(route.guildId)) return 1;
+      return 0;
+    }
+
     toJSON() {
       return {
         id: this.id,
@@ -247,7 +865,7 @@
       };
     }
 
-    static fromJSON(data) {
+    static fromJSON(data, defaults = {}) {
       // Convert date strings back to Date objects with validation
       const now = new Date();
 
@@ -270,7 +888,8 @@
 
       const collection = new WhitelistCollection(data.name, {
         id: data.id,
-        settings: data.settings,
+        // Settings must be in place before entries are keyed (case sensitivity)
+        settings: { ...defaults, ...data.settings },
         metadata: metadata,
       });
 
@@ -278,7 +897,7 @@
       if (data.entries) {
         data.entries.forEach(entryData => {
           const entry = WhitelistEntry.fromJSON(entryData);
-          collection.entries.set(entry.username.toLowerCase(), entry);
+          collection.entries.set(collection.keyFor(entry.username), entry);
         });
       }
 
@@ -286,1531 +905,4872 @@
     }
   }
 
-  // --- Storage Layer ---
-  class StorageManager {
-    constructor() {
-      this.config = this.loadConfig();
-      this.collections = new Map();
-      this.loadCollections();
+  // --- IndexedDB Collection Store ---
+  // "collections" holds each collection without its entries; "entries" holds one record per
+  // entry, keyed [collectionId, key] where key is the collection's lookup key for the entry
+  class CollectionStore {
+    constructor(db) {
+      this.db = db;
+      // Let a newer version of the script upgrade the database from another tab
+      this.db.onversionchange = () => this.db.close();
+    }
+
+    // Resolves null when IndexedDB is missing or refused (private windows, sandboxed frames)
+    static open() {
+      return new Promise(resolve => {
+        try {
+          if (!window.indexedDB) {
+            resolve(null);
+            return;
+          }
 
-      // Migrate legacy data if needed
-      this.migrateLegacyData();
+          const request = window.indexedDB.open(IDB_NAME, IDB_VERSION);
+          request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('collections')) {
+              db.createObjectStore('collections', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('entries')) {
+              const entries = db.createObjectStore('entries', { keyPath: ['collectionId', 'key'] });
+              entries.createIndex('collectionId', 'collectionId');
+            }
+            if (!db.objectStoreNames.contains('backups')) {
+              db.createObjectStore('backups', { keyPath: 'id' });
+            }
+          };
+          request.onsuccess = () => resolve(new CollectionStore(request.result));
+          request.onerror = () => {
+            log("IndexedDB unavailable:", request.error);
+            resolve(null);
+          };
+        } catch (e) {
+          log("IndexedDB unavailable:", e);
+          resolve(null);
+        }
+      });
     }
 
-    loadConfig() {
-      try {
-        const stored = Storage.get(CONFIG_KEY, null);
-        return stored ? { ...DEFAULT_CONFIG, ...stored } : { ...DEFAULT_CONFIG };
-      } catch (e) {
-        log("Config load error, using defaults:", e);
-        return { ...DEFAULT_CONFIG };
-      }
+    transaction(mode, work, stores = ['collections', 'entries']) {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction(stores, mode);
+        const result = work(tx);
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+      });
     }
 
-    saveConfig() {
-      try {
-        Storage.set(CONFIG_KEY, this.config);
-        return true;
-      } catch (e) {
-        console.error("[WL] Config save failed:", e);
-        return false;
-      }
+    readAll() {
+      return this.transaction('readonly', tx => {
+        const result = { collections: [], entries: [] };
+        tx.objectStore('collections').getAll().onsuccess = (e) => { result.collections = e.target.result; };
+        tx.objectStore('entries').getAll().onsuccess = (e) => { result.entries = e.target.result; };
+        return result;
+      });
     }
 
-    loadCollections() {
-      try {
-        const stored = Storage.get(COLLECTIONS_KEY, []);
-        let migrationNeeded = false;
-
-        stored.forEach(collectionData => {
-          // Check if metadata needs migration
-          const metadata = collectionData.metadata || {};
-          if (!metadata.created || !metadata.modified ||
-              isNaN(new Date(metadata.created).getTime()) ||
-              isNaN(new Date(metadata.modified).getTime())) {
-            migrationNeeded = true;
-            log(`Migrating invalid dates for collection: ${collectionData.name || 'Unknown'}`);
-          }
-
-          const collection = WhitelistCollection.fromJSON(collectionData);
-          this.collections.set(collection.id, collection);
+    // Current records of the given collections; IDs with no record have been deleted
+    readCollections(ids) {
+      return this.transaction('readonly', tx => {
+        const result = { collections: [], entries: [] };
+        const entries = tx.objectStore('entries').index('collectionId');
+        ids.forEach(id => {
+          tx.objectStore('collections').get(id).onsuccess = (e) => {
+            if (e.target.result) result.collections.push(e.target.result);
+          };
+          entries.getAll(id).onsuccess = (e) => { result.entries.push(...e.target.result); };
         });
+        return result;
+      });
+    }
 
-        // Save corrected collections if migration was needed
-        if (migrationNeeded) {
-          log('Saving migrated collections with corrected dates');
-          this.saveCollections();
-        }
+    // All puts and deletes land together or not at all
+    write({ put = [], remove = [] }) {
+      return this.transaction('readwrite', tx => {
+        put.forEach(({ store, value }) => tx.objectStore(store).put(value));
+        remove.forEach(({ store, key }) => tx.objectStore(store).delete(key));
+      });
+    }
 
-        // Ensure default collection exists
-        if (!this.collections.has('default')) {
-          const defaultCollection = new WhitelistCollection('Default', { id: 'default' });
-          this.collections.set('default', defaultCollection);
-        }
+    clear() {
+      return this.transaction('readwrite', tx => {
+        tx.objectStore('collections').clear();
+        tx.objectStore('entries').clear();
+      });
+    }
 
-        // Ensure active collection exists
-        if (!this.collections.has(this.config.activeCollection)) {
-          this.config.activeCollection = 'default';
-        }
-      } catch (e) {
-        log("Collections load error:", e);
-        // Create default collection
-        const defaultCollection = new WhitelistCollection('Default', { id: 'default' });
-        this.collections.set('default', defaultCollection);
-        this.config.activeCollection = 'default';
-      }
+    readBackups() {
+      return this.transaction('readonly', tx => {
+        const result = [];
+        tx.objectStore('backups').getAll().onsuccess = (e) => { result.push(...e.target.result); };
+        return result;
+      }, ['backups']);
     }
 
-    saveCollections() {
-      try {
-        const collectionsArray = Array.from(this.collections.values()).map(c => c.toJSON());
-        Storage.set(COLLECTIONS_KEY, collectionsArray);
-        return true;
-      } catch (e) {
-        console.error("[WL] Collections save failed:", e);
-        return false;
-      }
+    putBackup(backup) {
+      return this.transaction('readwrite', tx => { tx.objectStore('backups').put(backup); }, ['backups']);
     }
 
-    migrateLegacyData() {
-      try {
-        const legacyData = Storage.get(STORAGE_KEY, null);
-        if (legacyData && legacyData.whitelist && legacyData.whitelist.length > 0) {
-          log("Migrating legacy data...");
-          const defaultCollection = this.collections.get('default');
+    deleteBackups(ids) {
+      return this.transaction('readwrite', tx => {
+        ids.forEach(id => tx.objectStore('backups').delete(id));
+      }, ['backups']);
+    }
+  }
 
-          legacyData.whitelist.forEach(username => {
-            try {
-              defaultCollection.addEntry(username, { source: 'legacy' });
-            } catch (e) {
-              log("Failed to migrate username:", username, e);
-            }
-          });
+  // --- Edit History ---
+  // Undo/redo log of list edits. Each step is one user action (an add, a bulk update, an editor
+  // save, a collection delete...) holding the functions that revert and re-apply it.
+  class EditHistory {
+    constructor(storageManager, limit = 100) {
+      this.storage = storageManager;
+      this.limit = limit;
+      this.undoStack = [];
+      this.redoStack = [];
+      this.nextId = 1;
+      this.depth = 0;
+      this.applying = false;
+    }
+
+    // Snapshot the collections' entries and settings; end() records the difference as one step.
+    // Edits inside an open begin() (addUser within bulkUpdate) fold into the outer step.
+    begin(label, collectionIds) {
+      if (this.applying) return null;
+      this.depth++;
+      if (this.depth > 1) return { nested: true };
+
+      const collections = collectionIds
+        .map(id => this.storage.collections.get(id))
+        .filter(Boolean)
+        .map(collection => ({
+          id: collection.id,
+          entries: new Map(collection.entries),
+          settings: JSON.stringify(collection.settings),
+        }));
+      return { label, collections };
+    }
+
+    end(edit) {
+      if (!edit) return null;
+      this.depth = Math.max(0, this.depth - 1);
+      if (edit.nested) return null;
+
+      const changes = edit.collections.map(({ id, entries, settings }) => {
+        const collection = this.storage.collections.get(id);
+        if (!collection) return null;
+
+        const before = [];
+        const after = [];
+        new Set([...entries.keys(), ...collection.entries.keys()]).forEach(key => {
+          const previous = entries.get(key);
+          const current = collection.entries.get(key);
+          if (previous === current) return;
+          if (previous) before.push(previous);
+          if (current) after.push(current);
+        });
 
-          // Preserve other legacy settings
-          if (typeof legacyData.enabled === 'boolean') {
-            this.config.globalSettings.enabled = legacyData.enabled;
-          }
-          if (typeof legacyData.hardHide === 'boolean') {
-            this.config.globalSettings.hardHide = legacyData.hardHide;
-          }
-          if (typeof legacyData.showAllTemp === 'boolean') {
-            this.config.globalSettings.showAllTemp = legacyData.showAllTemp;
-          }
+        const settingsAfter = JSON.stringify(collection.settings);
+        if (before.length === 0 && after.length === 0 && settingsAfter === settings) return null;
+        return { id, before, after, settingsBefore: settings, settingsAfter };
+      }).filter(Boolean);
 
-          this.saveCollections();
-          this.saveConfig();
-          log(`Migrated ${legacyData.whitelist.length} entries from legacy format`);
-        }
-      } catch (e) {
-        log("Migration error:", e);
-      }
+      return this.recordChanges(edit.label, changes);
     }
 
-    getActiveCollection() {
-      return this.collections.get(this.config.activeCollection);
+    // A single add or remove, where the changed entries are already known
+    recordEntries(label, collectionId, before, after) {
+      return this.recordChanges(label, [{ id: collectionId, before, after, settingsBefore: null, settingsAfter: null }]);
     }
 
-    getAllCollections() {
-      return Array.from(this.collections.values());
+    recordChanges(label, changes) {
+      if (changes.length === 0) return null;
+      return this.push(label, () => this.applyChanges(changes, 'before'), () => this.applyChanges(changes, 'after'));
     }
 
-    getCollection(id) {
-      return this.collections.get(id);
-    }
+    push(label, undo, redo) {
+      if (this.applying || this.depth > 0) return null;
 
-    createCollection(name, options = {}) {
-      const id = options.id || generateId();
-      if (this.collections.has(id)) {
-        throw new Error(`Collection with ID ${id} already exists`);
+      const step = { id: this.nextId++, label, undo, redo };
+      this.undoStack.push(step);
+      if (this.undoStack.length > this.limit) {
+        this.undoStack.shift();
       }
+      this.redoStack = [];
+      eventBus.emit('history:changed', this.getState());
+      return step;
+    }
+
+    // Puts one side of each change back: 'before' undoes it, 'after' re-applies it
+    applyChanges(changes, side) {
+      const other = side === 'before' ? 'after' : 'before';
+      changes.forEach(change => {
+        const collection = this.storage.collections.get(change.id);
+        if (!collection) return;
+
+        change[other].forEach(entry => collection.entries.delete(collection.keyFor(entry.username)));
+        change[side].forEach(entry => collection.entries.set(collection.keyFor(entry.username), entry));
+        if (change.settingsBefore !== change.settingsAfter) {
+          collection.settings = JSON.parse(side === 'before' ? change.settingsBefore : change.settingsAfter);
+        }
+        collection.metadata.modified = new Date();
+      });
+      this.storage.saveCollections();
+    }
 
-      const collection = new WhitelistCollection(name, { ...options, id });
-      this.collections.set(id, collection);
-      this.saveCollections();
+    // Undoes the latest step, or only the given one if it is still the latest
+    undo(stepId = null) {
+      const step = this.undoStack[this.undoStack.length - 1];
+      if (!step) return null;
+      if (stepId !== null && step.id !== stepId) {
+        throw new Error('Newer changes were made since; undo them first');
+      }
 
-      eventBus.emit('collection:created', { collection: collection.toJSON() });
-      return id;
+      this.undoStack.pop();
+      this.apply(step, 'undo');
+      this.redoStack.push(step);
+      return step.label;
     }
 
-    deleteCollection(id) {
-      if (id === 'default') {
-        throw new Error('Cannot delete default collection');
-      }
-      if (!this.collections.has(id)) {
-        return false;
-      }
+    redo() {
+      const step = this.redoStack.pop();
+      if (!step) return null;
 
-      this.collections.delete(id);
+      this.apply(step, 'redo');
+      this.undoStack.push(step);
+      return step.label;
+    }
 
-      // If deleting active collection, switch to default
-      if (this.config.activeCollection === id) {
-        this.config.activeCollection = 'default';
-        this.saveConfig();
+    apply(step, action) {
+      // Edits made while reverting (a redone collection delete) must not become steps of their own
+      this.applying = true;
+      try {
+        step[action]();
+      } finally {
+        this.applying = false;
       }
 
-      this.saveCollections();
-      eventBus.emit('collection:deleted', { id });
-      return true;
+      log(`${action === 'undo' ? 'Undid' : 'Redid'}: ${step.label}`);
+      eventBus.emit('history:applied', { action, label: step.label });
+      eventBus.emit('history:changed', this.getState());
     }
 
-    switchActiveCollection(id) {
-      if (!this.collections.has(id)) {
-        throw new Error(`Collection ${id} does not exist`);
-      }
+    getLatest() {
+      return this.undoStack[this.undoStack.length - 1] || null;
+    }
 
-      const oldId = this.config.activeCollection;
-      this.config.activeCollection = id;
-      this.saveConfig();
+    getState() {
+      const undo = this.getLatest();
+      const redo = this.redoStack[this.redoStack.length - 1];
+      return {
+        canUndo: !!undo,
+        canRedo: !!redo,
+        undoLabel: undo ? undo.label : null,
+        redoLabel: redo ? redo.label : null,
+      };
+    }
 
-      eventBus.emit('collection:switched', { from: oldId, to: id });
-      return true;
+    clear() {
+      this.undoStack = [];
+      this.redoStack = [];
+      eventBus.emit('history:changed', this.getState());
     }
   }
 
-  // --- Whitelist Manager ---
-  class WhitelistManager {
-    constructor(storageManager) {
-      this.storage = storageManager;
-      this.userLookup = new Map(); // Fast O(1) lookup cache
-      this.rebuildLookupCache();
-    }
+  // --- Storage Schema ---
+  // Ordered steps from one schema version to the next. Each gets { config, collections, legacy } as
+  // plain JSON (any of them may be null) and edits it in place. Data of unknown age (backups, a
+  // second storage backend) goes through every step, so a step must leave migrated data alone.
+  // A new step takes the next version number, and SCHEMA_VERSION moves up to it.
+  const SCHEMA_MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Move the single-list whitelist into the default collection',
+      migrate(data) {
+        const legacy = data.legacy;
+        data.legacy = null;
+        if (!legacy || !Array.isArray(legacy.whitelist)) return;
+
+        const globalSettings = { ...DEFAULT_CONFIG.globalSettings, ...data.config?.globalSettings };
+        ['enabled', 'hardHide', 'showAllTemp'].forEach(key => {
+          if (typeof legacy[key] === 'boolean') globalSettings[key] = legacy[key];
+        });
+        data.config = { ...data.config, globalSettings };
 
-    rebuildLookupCache() {
-      this.userLookup.clear();
-      const activeCollection = this.storage.getActiveCollection();
-      if (activeCollection) {
-        activeCollection.getEntries().forEach(entry => {
-          this.userLookup.set(entry.username.toLowerCase(), entry);
+        data.collections = Array.isArray(data.collections) ? data.collections : [];
+        let target = data.collections.find(collection => collection && collection.id === 'default');
+        if (!target) {
+          target = { id: 'default', name: 'Default', entries: [], settings: {}, metadata: {} };
+          data.collections.push(target);
+        }
+        target.entries = Array.isArray(target.entries) ? target.entries : [];
+
+        const keyFor = name => (target.settings?.caseSensitive === true ? name : name.toLowerCase());
+        const known = new Set(target.entries.map(entry => keyFor(normalizeUsername(entry.username))));
+        legacy.whitelist.forEach(username => {
+          const name = normalizeUsername(username);
+          if (!validateEntryText(name).valid || known.has(keyFor(name))) return;
+          known.add(keyFor(name));
+          target.entries.push(JSON.parse(JSON.stringify(new WhitelistEntry(name, { source: 'legacy' }))));
         });
-      }
+      },
+    },
+    {
+      version: 2,
+      description: 'Repair missing or invalid dates',
+      migrate(data) {
+        const now = new Date().toISOString();
+        const isValid = value => !!value && !isNaN(new Date(value).getTime());
+        (data.collections || []).forEach(collection => {
+          const metadata = { ...collection.metadata };
+          ['created', 'modified'].forEach(key => {
+            if (!isValid(metadata[key])) metadata[key] = now;
+          });
+          collection.metadata = metadata;
+          (collection.entries || []).forEach(entry => {
+            if (!isValid(entry.dateAdded)) entry.dateAdded = now;
+          });
+        });
+      },
+    },
+    {
+      version: 3,
+      description: 'Turn content rules into filter rules',
+      migrate(data) {
+        (data.collections || []).forEach(collectionData => {
+          if (!Array.isArray(collectionData.settings?.contentRules)) return;
+          const collection = new WhitelistCollection(collectionData.name, { settings: { ...collectionData.settings } });
+          collection.migrateContentRules();
+          collectionData.settings = collection.settings;
+        });
+      },
+    },
+  ];
+
+  // Runs the steps after fromVersion on a copy; the data passed in is left untouched
+  function migrateSchemaData(data, fromVersion) {
+    const copy = JSON.parse(JSON.stringify({ config: data.config, collections: data.collections, legacy: data.legacy }));
+    const migrated = { config: copy.config ?? null, collections: copy.collections ?? null, legacy: copy.legacy ?? null };
+    const steps = SCHEMA_MIGRATIONS.filter(step => step.version > fromVersion);
+    steps.forEach(step => step.migrate(migrated));
+    return { data: migrated, steps: steps.map(({ version, description }) => ({ version, description })) };
+  }
+
+  // What would keep migrated data from loading as it is meant to; empty when it is fine
+  function validateSchemaData({ config, collections }) {
+    const problems = [];
+    const isDate = value => !!value && !isNaN(new Date(value).getTime());
+
+    if (config !== null && (typeof config !== 'object' || Array.isArray(config))) {
+      problems.push('Config is not an object');
+    }
+    if (collections === null) return problems;
+    if (!Array.isArray(collections)) {
+      problems.push('Collections are not a list');
+      return problems;
     }
 
-    async addUser(username, options = {}) {
-      try {
-        if (!validateUsername(username)) {
-          throw new Error('Invalid username format');
+    const ids = new Set();
+    collections.forEach((collection, index) => {
+      const label = `Collection ${index + 1}`;
+      if (!collection || typeof collection !== 'object') {
+        problems.push(`${label} is not an object`);
+        return;
+      }
+      if (typeof collection.id !== 'string' || !collection.id) {
+        problems.push(`${label} has no ID`);
+      } else if (ids.has(collection.id)) {
+        problems.push(`${label} repeats the ID "${collection.id}"`);
+      } else {
+        ids.add(collection.id);
+      }
+      if (typeof collection.name !== 'string') {
+        problems.push(`${label} has no name`);
+      }
+      if (!isDate(collection.metadata?.created) || !isDate(collection.metadata?.modified)) {
+        problems.push(`${label} has invalid dates`);
+      }
+      if (collection.entries === undefined) return;
+      if (!Array.isArray(collection.entries)) {
+        problems.push(`${label} entries are not a list`);
+        return;
+      }
+      collection.entries.forEach((entry, entryIndex) => {
+        if (!entry || typeof entry.username !== 'string' || !entry.username.trim()) {
+          problems.push(`${label}, entry ${entryIndex + 1} has no username`);
+        } else if (!isDate(entry.dateAdded)) {
+          problems.push(`${label}, entry ${entryIndex + 1} has an invalid date`);
         }
+      });
+    });
+    return problems;
+  }
 
-        const activeCollection = this.storage.getActiveCollection();
-        const added = activeCollection.addEntry(username, options);
+  // --- Storage Layer ---
+  class StorageManager {
+    constructor() {
+      // Stored data is brought up to SCHEMA_VERSION before anything reads it. When that can't be
+      // done, readOnly keeps this tab from saving over it.
+      this.readOnly = false;
+      this.pendingMigration = null; // dry run result until the migration is written
+      this.schema = this.checkSchema();
+      const loadStored = this.schema.status !== 'newer';
+
+      this.config = loadStored ? this.loadConfig() : { ...DEFAULT_CONFIG };
+      this.toggleOverrides = new Map(); // message ID -> record, least recently used first
+      this.toggleSaveTimer = null;
+      if (loadStored) this.loadToggleOverrides();
+      this.collections = new Map();
+      this.currentRoute = null;
+
+      // Collections start out from the Storage adapter and move to IndexedDB once it opens.
+      // Saves made before then wait for it; storedRecords is what IndexedDB last confirmed.
+      this.collectionStore = null;
+      this.collectionStoreOpening = true;
+      this.savePendingOpen = false;
+      this.storedRecords = new Map(); // record key -> { store, key, json }
+      this.collectionWrite = Promise.resolve(true);
+      this.collectionWriteQueued = false;
+      this.batchDepth = 0;
+      this.batchSavePending = false;
+      // Bumped on every save; backups use it to tell whether anything changed
+      this.revision = 0;
+      this.backups = null; // BackupManager, set when the system starts
+      this.history = new EditHistory(this);
+      // The active collection may only exist in IndexedDB, so remember it before load falls back
+      this.storedActiveCollection = this.config.activeCollection;
+
+      if (loadStored) {
+        this.loadCollections();
+      } else {
+        this.ensureDefaultCollection();
+      }
+      // What edits made before IndexedDB opens are measured against, so they can be replayed
+      this.startupCollections = this.captureCollections();
+      this.startupActiveCollection = this.config.activeCollection;
 
-        if (added) {
-          const entry = activeCollection.getEntry(username);
-          this.userLookup.set(entry.username.toLowerCase(), entry);
-          this.storage.saveCollections();
+      this.ready = this.openCollectionStore();
+    }
 
-          eventBus.emit('whitelist:user_added', {
-            username: entry.username,
-            collection: activeCollection.id,
-            entry: entry.toJSON()
-          });
+    // Data saved before versioning has no SCHEMA_KEY and counts as version 0
+    getStoredSchemaVersion() {
+      try {
+        const stored = Number(Storage.get(SCHEMA_KEY, 0));
+        return Number.isInteger(stored) && stored > 0 ? stored : 0;
+      } catch (e) {
+        log("Schema version unreadable, treating data as unversioned:", e);
+        return 0;
+      }
+    }
 
-          log(`Added to whitelist: "${entry.username}"`);
-          return true;
-        } else {
-          log(`Already in whitelist: "${username}"`);
-          return false;
+    // Runs the pending migrations against what Storage holds, plus the collections IndexedDB
+    // holds when given (records with their entries), without writing anything back
+    dryRunMigrations(storeCollections = null) {
+      const from = this.getStoredSchemaVersion();
+      const result = { from, to: SCHEMA_VERSION, steps: [], problems: [], original: null, data: null, storeCollections: null };
+      if (from > SCHEMA_VERSION) {
+        result.problems.push(`Stored data is from a newer version of the script (schema v${from}, this one reads up to v${SCHEMA_VERSION})`);
+        return result;
+      }
+
+      try {
+        result.original = {
+          config: Storage.get(CONFIG_KEY, null),
+          collections: Storage.get(COLLECTIONS_KEY, null),
+          legacy: Storage.get(STORAGE_KEY, null),
+        };
+        const { data, steps } = migrateSchemaData(result.original, from);
+        result.data = data;
+        result.steps = steps;
+        result.problems = validateSchemaData(data);
+
+        if (storeCollections) {
+          const migrated = migrateSchemaData({ collections: storeCollections }, from).data.collections;
+          result.storeCollections = migrated;
+          result.problems.push(...validateSchemaData({ config: null, collections: migrated }).map(problem => `IndexedDB: ${problem}`));
         }
       } catch (e) {
-        console.error("[WL] Add user failed:", e);
-        throw e;
+        result.problems.push(`Migration failed: ${e.message}`);
       }
+      return result;
     }
 
-    async removeUser(username) {
-      try {
-        const activeCollection = this.storage.getActiveCollection();
-        const normalizedName = normalizeUsername(username);
-        const key = normalizedName.toLowerCase();
+    // Checks the Storage copy up front; the migration itself finishes once IndexedDB has been
+    // read (beginSchemaMigration / finishSchemaMigration). Data from a newer version is not
+    // loaded at all; data that fails the dry run is loaded as it is. Either way nothing is saved.
+    checkSchema() {
+      const check = this.dryRunMigrations();
+      const schema = { version: SCHEMA_VERSION, stored: check.from, status: 'current', migratedFrom: null, steps: [], error: null };
 
-        const removed = activeCollection.removeEntry(normalizedName);
+      if (check.from > SCHEMA_VERSION) {
+        return this.refuseStoredData(schema, 'newer', `${check.problems[0]}. Update the script; until then nothing is loaded or saved.`);
+      }
+      if (check.from === SCHEMA_VERSION) return schema;
 
-        if (removed) {
-          this.userLookup.delete(key);
-          this.storage.saveCollections();
+      schema.steps = check.steps;
+      if (check.problems.length > 0) {
+        return this.refuseStoredData(schema, 'failed', this.describeMigrationProblems(check.problems));
+      }
 
-          eventBus.emit('whitelist:user_removed', {
-            username: normalizedName,
-            collection: activeCollection.id
-          });
+      // Config and collections load from the migrated copy; nothing is written until the
+      // pre-migration backup is
+      schema.status = 'pending';
+      this.pendingMigration = check;
+      return schema;
+    }
 
-          log(`Removed from whitelist: "${normalizedName}"`);
-          return true;
+    describeMigrationProblems(problems) {
+      return `Stored data could not be migrated to schema v${SCHEMA_VERSION} (${problems.slice(0, 5).join('; ')}). It is left unchanged and nothing is saved.`;
+    }
+
+    // Dry-runs the IndexedDB collections too, then backs up everything as it was. Resolves false
+    // (and this tab stops saving) if either fails; the migration writes nothing before this.
+    async beginSchemaMigration(storeRecords, store) {
+      const pending = this.pendingMigration;
+      const storeCollections = storeRecords && storeRecords.collections.length > 0
+        ? this.joinCollectionRecords(storeRecords.collections, storeRecords.entries)
+        : null;
+      const check = this.dryRunMigrations(storeCollections);
+
+      if (check.problems.length > 0) {
+        this.pendingMigration = null;
+        this.refuseStoredData(this.schema, 'failed', this.describeMigrationProblems(check.problems));
+        return false;
+      }
+
+      const { original } = check;
+      const collections = storeCollections || original.collections;
+      pending.hadData = original.config !== null || collections !== null || original.legacy !== null;
+      if (pending.hadData) {
+        try {
+          if (!this.backups) throw new Error('Backups are not available');
+          await this.backups.keep(`Before schema migration v${check.from} → v${SCHEMA_VERSION}`, {
+            schemaVersion: check.from,
+            config: original.config,
+            collections,
+            legacy: original.legacy,
+          }, store);
+        } catch (e) {
+          this.pendingMigration = null;
+          this.refuseStoredData(this.schema, 'failed', `Stored data was not migrated because the backup of it failed (${e.message}). Nothing is saved until it can be.`);
+          return false;
         }
+      }
+
+      pending.storeCollections = check.storeCollections;
+      return true;
+    }
 
+    // Writes the migrated data and only then the new schema version. Should a write fail, the
+    // version stays where it was and the (rerunnable) steps run again on the next load.
+    async finishSchemaMigration() {
+      const { from, original, data, steps, hadData } = this.pendingMigration;
+      this.pendingMigration = null;
+
+      let written = this.saveConfig();
+      written = (this.collectionStore ? await this.queueCollectionWrite() : this.saveCollections()) && written;
+      if (!written) {
+        console.error(`[WL] Migrated data could not be saved; schema v${from} is kept and the migration reruns on the next load`);
         return false;
+      }
+
+      try {
+        if (original.legacy !== null && data.legacy === null) Storage.remove(STORAGE_KEY);
+        Storage.set(SCHEMA_KEY, SCHEMA_VERSION);
       } catch (e) {
-        console.error("[WL] Remove user failed:", e);
-        throw e;
+        console.error("[WL] Schema version save failed:", e);
+        return false;
+      }
+
+      // With nothing stored yet there was nothing to migrate
+      if (!hadData) {
+        this.schema.status = 'current';
+        this.schema.steps = [];
+        return true;
       }
+      this.schema.status = 'migrated';
+      this.schema.migratedFrom = from;
+      if (steps.length > 0) {
+        log(`Migrated stored data from schema v${from} to v${SCHEMA_VERSION}:`, steps.map(step => step.description).join(', '));
+      }
+      return true;
     }
 
-    isWhitelisted(username) {
-      const key = normalizeUsername(username).toLowerCase();
-      return this.userLookup.has(key);
+    refuseStoredData(schema, status, message) {
+      schema.status = status;
+      schema.error = message;
+      this.readOnly = true;
+      console.error(`[WL] ${message}`);
+      return schema;
     }
 
-    getWhitelist() {
-      const activeCollection = this.storage.getActiveCollection();
-      return activeCollection ? activeCollection.getEntries().map(e => e.toJSON()) : [];
+    loadConfig() {
+      try {
+        const stored = this.pendingMigration ? this.pendingMigration.data.config : Storage.get(CONFIG_KEY, null);
+        return stored ? { ...DEFAULT_CONFIG, ...stored } : { ...DEFAULT_CONFIG };
+      } catch (e) {
+        log("Config load error, using defaults:", e);
+        return { ...DEFAULT_CONFIG };
+      }
     }
 
-    async bulkUpdate(operations) {
-      const results = [];
-      const errors = [];
+    saveConfig() {
+      if (this.readOnly) return false;
+      this.revision++;
+      // Held back until the pre-migration backup is written; finishSchemaMigration saves it
+      if (this.pendingMigration) return true;
+      try {
+        Storage.set(CONFIG_KEY, this.config);
+        return true;
+      } catch (e) {
+        console.error("[WL] Config save failed:", e);
+        return false;
+      }
+    }
 
+    loadCollections() {
       try {
-        for (const op of operations) {
-          try {
-            let result = false;
-            if (op.action === 'add') {
-              result = await this.addUser(op.username, op.options);
-            } else if (op.action === 'remove') {
-              result = await this.removeUser(op.username);
-            }
-            results.push({ ...op, success: result });
-          } catch (e) {
-            errors.push({ ...op, error: e.message });
-          }
-        }
+        const stored = this.pendingMigration ? this.pendingMigration.data.collections || [] : Storage.get(COLLECTIONS_KEY, []);
+        stored.forEach(collectionData => {
+          const collection = WhitelistCollection.fromJSON(collectionData, this.getCollectionDefaults());
+          this.collections.set(collection.id, collection);
+        });
 
-        eventBus.emit('whitelist:bulk_update', { results, errors });
-        return { results, errors };
+        this.ensureDefaultCollection();
       } catch (e) {
-        console.error("[WL] Bulk update failed:", e);
-        throw e;
+        log("Collections load error:", e);
+        // Create default collection
+        const defaultCollection = new WhitelistCollection('Default', { id: 'default', settings: this.getCollectionDefaults() });
+        this.collections.set('default', defaultCollection);
+        this.config.activeCollection = 'default';
       }
     }
 
-    clearWhitelist() {
-      const activeCollection = this.storage.getActiveCollection();
-      if (activeCollection) {
-        activeCollection.clear();
-        this.userLookup.clear();
-        this.storage.saveCollections();
+    ensureDefaultCollection() {
+      if (!this.collections.has('default')) {
+        const defaultCollection = new WhitelistCollection('Default', { id: 'default', settings: this.getCollectionDefaults() });
+        this.collections.set('default', defaultCollection);
+      }
 
-        eventBus.emit('whitelist:cleared', { collection: activeCollection.id });
-        log("Whitelist cleared");
+      if (!this.collections.has(this.config.activeCollection)) {
+        this.config.activeCollection = 'default';
       }
     }
 
-    getStats() {
-      const activeCollection = this.storage.getActiveCollection();
-      if (!activeCollection) return { total: 0, recent: 0 };
+    // Opens IndexedDB and makes it the home of the collections: loads them from there, or on first
+    // run moves the localStorage / Tampermonkey copies over. Without it they stay in Storage.
+    async openCollectionStore() {
+      // Data this tab refused may be in IndexedDB too; it stays there untouched
+      const store = this.readOnly ? null : await CollectionStore.open();
+      let records = null;
+      let migrated = false;
 
-      const entries = activeCollection.getEntries();
-      const now = new Date();
-      const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+      if (store) {
+        try {
+          records = await store.readAll();
+        } catch (e) {
+          console.error(`[WL] IndexedDB load failed, keeping collections in ${Storage.type}:`, e);
+        }
+      }
+      // A refused migration leaves IndexedDB as it is
+      if (this.pendingMigration && !(await this.beginSchemaMigration(records, records ? store : null))) {
+        records = null;
+      }
 
-      return {
-        total: entries.length,
-        recent: entries.filter(e => e.dateAdded > dayAgo).length,
-        sources: entries.reduce((acc, e) => {
-          acc[e.source] = (acc[e.source] || 0) + 1;
-          return acc;
-        }, {}),
-      };
-    }
-  }
+      try {
+        if (records) {
+          const { collections, entries } = records;
+          this.collectionStore = store;
 
-  // --- Search Manager ---
-  class SearchManager {
-    constructor(whitelistManager) {
-      this.whitelist = whitelistManager;
-    }
+          if (collections.length === 0) {
+            migrated = await this.migrateToCollectionStore();
+          } else {
+            const pending = this.savePendingOpen ? this.collectPendingEdits() : null;
+            this.loadCollectionRecords(collections, entries);
+            if (pending) this.replayPendingEdits(pending);
+          }
+        }
+      } catch (e) {
+        console.error(`[WL] IndexedDB load failed, keeping collections in ${Storage.type}:`, e);
+        this.collectionStore = null;
+      }
 
-    searchUsers(query, options = {}) {
-      const entries = this.whitelist.getWhitelist();
-      const normalizedQuery = query.toLowerCase();
+      this.collectionStoreOpening = false;
+      if (this.savePendingOpen) {
+        this.savePendingOpen = false;
+        // With IndexedDB these were either migrated along or replayed onto what was stored
+        if (!this.collectionStore && !this.pendingMigration) this.saveCollections();
+      }
+      if (this.pendingMigration) {
+        await this.finishSchemaMigration();
+      }
 
-      const matches = entries.filter(entry => {
-        if (options.exactMatch) {
-          return entry.username.toLowerCase() === normalizedQuery;
+      this.startupCollections = null;
+
+      if (this.collectionStore) {
+        // A collection switched to before IndexedDB opened wins over the stored choice
+        const switched = this.config.activeCollection !== this.startupActiveCollection &&
+          this.collections.has(this.config.activeCollection);
+        if (!switched && this.collections.has(this.storedActiveCollection)) {
+          this.config.activeCollection = this.storedActiveCollection;
+        }
+        this.ensureDefaultCollection();
+        if (this.currentRoute) {
+          this.applyRoute(this.currentRoute);
         }
+      }
 
-        return entry.username.toLowerCase().includes(normalizedQuery) ||
-               (entry.notes && entry.notes.toLowerCase().includes(normalizedQuery));
-      });
+      log("Collections storage:", this.getStorageType(), migrated ? "(migrated)" : "");
+      eventBus.emit('storage:ready', { type: this.getStorageType(), migrated });
+      return this.getStorageType();
+    }
 
-      // Sort by relevance (exact matches first, then by username length)
-      matches.sort((a, b) => {
-        const aExact = a.username.toLowerCase() === normalizedQuery;
-        const bExact = b.username.toLowerCase() === normalizedQuery;
+    getStorageType() {
+      return this.collectionStore ? 'indexedDB' : Storage.type;
+    }
 
-        if (aExact && !bExact) return -1;
-        if (bExact && !aExact) return 1;
+    // Entries as JSON so in-place changes (a bound user ID) count too
+    captureCollections() {
+      const captured = new Map();
+      this.collections.forEach(collection => {
+        captured.set(collection.id, {
+          name: collection.name,
+          settings: JSON.parse(JSON.stringify(collection.settings)),
+          entries: new Map(Array.from(collection.entries, ([key, entry]) => [key, JSON.stringify(entry)])),
+        });
+      });
+      return captured;
+    }
+
+    // Everything changed in memory since startup: collections created and deleted, and per
+    // collection the entries added, changed or removed plus a new name and the settings that changed
+    collectPendingEdits() {
+      const startup = this.startupCollections || new Map();
+      const created = [];
+      const changed = [];
+      this.collections.forEach(collection => {
+        const before = startup.get(collection.id);
+        if (!before) {
+          created.push(collection);
+          return;
+        }
 
-        return a.username.length - b.username.length;
+        const put = [];
+        collection.entries.forEach((entry, key) => {
+          if (before.entries.get(key) !== JSON.stringify(entry)) put.push(entry);
+        });
+        const removed = Array.from(before.entries.keys()).filter(key => !collection.entries.has(key));
+        const name = collection.name !== before.name ? collection.name : null;
+        // Per key: the placeholder's untouched settings must not replace the stored ones
+        const settings = {};
+        new Set([...Object.keys(before.settings), ...Object.keys(collection.settings)]).forEach(key => {
+          if (JSON.stringify(before.settings[key]) !== JSON.stringify(collection.settings[key])) {
+            settings[key] = collection.settings[key];
+          }
+        });
+        const settingsChanged = Object.keys(settings).length > 0;
+        if (put.length > 0 || removed.length > 0 || name !== null || settingsChanged) {
+          changed.push({ id: collection.id, put, removed, name, settings, collection });
+        }
       });
+      const deleted = Array.from(startup.keys()).filter(id => !this.collections.has(id));
+      return { created, changed, deleted };
+    }
 
-      return matches.slice(0, options.limit || 50);
+    // Applies edits made before IndexedDB opened on top of the collections it had stored
+    replayPendingEdits({ created, changed, deleted }) {
+      created.forEach(collection => this.collections.set(collection.id, collection));
+      deleted.forEach(id => {
+        if (id !== 'default') this.collections.delete(id);
+      });
+      changed.forEach(({ id, put, removed, name, settings, collection }) => {
+        const target = this.collections.get(id);
+        if (!target) {
+          this.collections.set(id, collection);
+          return;
+        }
+        Object.entries(settings).forEach(([key, value]) => {
+          if (value === undefined) {
+            delete target.settings[key];
+          } else {
+            target.settings[key] = value;
+          }
+        });
+        if (name !== null) target.name = name;
+        removed.forEach(key => target.entries.delete(key));
+        put.forEach(entry => target.entries.set(target.keyFor(entry.username), entry));
+        target.metadata.modified = new Date();
+      });
+
+      const total = created.length + changed.length + deleted.length;
+      if (total > 0) {
+        this.saveCollections();
+        log(`Replayed changes to ${total} collection(s) made before IndexedDB opened`);
+      }
     }
-  }
 
-  // --- Data Manager (Import/Export) ---
-  class DataManager {
-    constructor(storageManager) {
-      this.storage = storageManager;
+    // Collection records with their entry records, as collection JSON
+    joinCollectionRecords(collectionRecords, entryRecords) {
+      const entriesByCollection = new Map();
+      entryRecords.forEach(record => {
+        if (!entriesByCollection.has(record.collectionId)) entriesByCollection.set(record.collectionId, []);
+        entriesByCollection.get(record.collectionId).push(record);
+      });
+
+      // Records come back in key order; oldest first matches the order entries were added in
+      return collectionRecords.map(record => ({
+        ...record,
+        entries: (entriesByCollection.get(record.id) || [])
+          .sort((a, b) => new Date(a.dateAdded) - new Date(b.dateAdded)),
+      }));
     }
 
-    exportWhitelist(format = 'json') {
-      const activeCollection = this.storage.getActiveCollection();
-      if (!activeCollection) {
-        throw new Error('No active collection to export');
-      }
+    loadCollectionRecords(collectionRecords, entryRecords) {
+      // During a schema migration the records load in their migrated (and validated) form
+      const list = this.pendingMigration?.storeCollections || this.joinCollectionRecords(collectionRecords, entryRecords);
 
-      const entries = activeCollection.getEntries();
+      const collections = new Map();
+      list.forEach(collectionData => {
+        const collection = WhitelistCollection.fromJSON(collectionData, this.getCollectionDefaults());
+        collections.set(collection.id, collection);
+      });
 
-      switch (format.toLowerCase()) {
-        case 'json':
-          return JSON.stringify({
-            version: VERSION,
-            collection: activeCollection.toJSON(),
-            exportDate: new Date(),
-          }, null, 2);
+      this.collections = collections;
+      this.storedRecords = new Map();
+      this.rememberStoredRecords(collectionRecords, entryRecords);
 
-        case 'csv':
-          const headers = 'username,dateAdded,source,notes\n';
-          const rows = entries.map(e =>
-            `"${e.username}","${e.dateAdded.toISOString()}","${e.source}","${e.notes}"`
-          ).join('\n');
-          return headers + rows;
+      // Anything normalised on load (dates, migrated rules) gets written back
+      this.saveCollections();
+      log(`Loaded ${collections.size} collections (${entryRecords.length} entries) from IndexedDB`);
+    }
 
-        case 'txt':
-          return entries.map(e => e.username).join('\n');
+    rememberStoredRecords(collectionRecords, entryRecords) {
+      collectionRecords.forEach(record => {
+        this.storedRecords.set(`c${JSON.stringify(record.id)}`, { store: 'collections', key: record.id, json: JSON.stringify(record) });
+      });
+      entryRecords.forEach(record => {
+        const key = [record.collectionId, record.key];
+        this.storedRecords.set(`e${JSON.stringify(key)}`, { store: 'entries', key, json: JSON.stringify(record) });
+      });
+    }
 
-        default:
-          throw new Error(`Unsupported export format: ${format}`);
+    // One-time move of COLLECTIONS_KEY into IndexedDB. Copies found in both localStorage and
+    // Tampermonkey storage are merged per collection, the most recently modified winning.
+    async migrateToCollectionStore() {
+      const sources = [createLocalStorageBackend(), createTampermonkeyBackend()].filter(Boolean);
+      const found = [];
+
+      sources.forEach(source => {
+        try {
+          const stored = source.get(COLLECTIONS_KEY, null);
+          if (!Array.isArray(stored)) return;
+          found.push(source);
+
+          // Only the Storage copy went through the schema migration; every step is safe to rerun
+          const { data } = migrateSchemaData({ collections: stored }, 0);
+          data.collections.forEach(collectionData => {
+            const collection = WhitelistCollection.fromJSON(collectionData, this.getCollectionDefaults());
+            const existing = this.collections.get(collection.id);
+            // The default collection made up at startup never outranks a stored one
+            const placeholder = existing && existing.id === 'default' && existing.getSize() === 0;
+            if (!existing || placeholder || collection.metadata.modified > existing.metadata.modified) {
+              this.collections.set(collection.id, collection);
+            }
+          });
+        } catch (e) {
+          log(`Skipping unreadable collections in ${source.type}:`, e);
+        }
+      });
+
+      if (!(await this.writeCollectionStore())) {
+        throw new Error('Could not write collections to IndexedDB');
+      }
+
+      // Only drop the old copies once IndexedDB has confirmed the write
+      found.forEach(source => {
+        try {
+          source.remove(COLLECTIONS_KEY);
+        } catch (e) {
+          log(`Could not remove migrated collections from ${source.type}:`, e);
+        }
+      });
+
+      if (found.length > 0) {
+        log(`Migrated ${this.collections.size} collections to IndexedDB from ${found.map(source => source.type).join(', ')}`);
       }
+      return found.length > 0;
+    }
+
+    // IndexedDB records for the collections in memory, keyed like storedRecords
+    buildCollectionRecords() {
+      const records = new Map();
+      this.collections.forEach(collection => {
+        const { id, name, settings, metadata } = collection;
+        records.set(`c${JSON.stringify(id)}`, { store: 'collections', key: id, value: { id, name, settings, metadata } });
+        collection.entries.forEach((entry, entryKey) => {
+          const key = [id, entryKey];
+          records.set(`e${JSON.stringify(key)}`, { store: 'entries', key, value: { collectionId: id, key: entryKey, ...entry.toJSON() } });
+        });
+      });
+      return records;
     }
 
-    async importWhitelist(data, format = 'json') {
-      const results = { imported: 0, skipped: 0, errors: [] };
+    // Writes only the records that changed since the last confirmed write, in one transaction
+    async writeCollectionStore() {
+      const records = this.buildCollectionRecords();
+      const put = [];
+      const remove = [];
+
+      records.forEach((record, recordKey) => {
+        record.json = JSON.stringify(record.value);
+        if (this.storedRecords.get(recordKey)?.json !== record.json) {
+          put.push(record);
+        }
+      });
+      this.storedRecords.forEach((record, recordKey) => {
+        if (!records.has(recordKey)) {
+          remove.push(record);
+        }
+      });
+
+      if (put.length === 0 && remove.length === 0) return true;
 
       try {
-        let entries = [];
+        await this.collectionStore.write({ put, remove });
+        this.storedRecords = new Map(Array.from(records, ([recordKey, { store, key, json }]) => [recordKey, { store, key, json }]));
 
-        switch (format.toLowerCase()) {
-          case 'json':
-            const parsed = JSON.parse(data);
-            if (parsed.collection && parsed.collection.entries) {
-              entries = parsed.collection.entries.map(e => ({
-                username: e.username,
-                options: { source: 'import', notes: e.notes }
-              }));
-            }
-            break;
+        const changed = new Set([...put, ...remove].map(({ store, key }) => (store === 'collections' ? key : key[0])));
+        eventBus.emit('storage:collections_saved', { ids: Array.from(changed) });
+        return true;
+      } catch (e) {
+        console.error("[WL] Collections save failed:", e);
+        return false;
+      }
+    }
 
-          case 'csv':
-            const lines = data.split('\n').slice(1); // Skip header
-            entries = lines.filter(line => line.trim()).map(line => {
-              const [username, , , notes] = line.split(',').map(s => s.replace(/"/g, ''));
-              return { username, options: { source: 'import', notes: notes || '' } };
-            });
-            break;
+    // Writes run one after another so each diff is taken against a confirmed state;
+    // saves made while one is still waiting to start are folded into it
+    queueCollectionWrite() {
+      if (!this.collectionWriteQueued) {
+        this.collectionWriteQueued = true;
+        this.collectionWrite = this.collectionWrite.then(() => {
+          this.collectionWriteQueued = false;
+          return this.writeCollectionStore();
+        });
+      }
+      return this.collectionWrite;
+    }
 
-          case 'txt':
-            entries = data.split('\n')
-              .map(line => line.trim())
-              .filter(line => line)
-              .map(username => ({ username, options: { source: 'import' } }));
-            break;
+    // Resolves true once every save so far has been stored, false if the last write failed
+    flushCollections() {
+      return this.ready.then(() => (this.collectionStore ? this.collectionWrite : true));
+    }
 
-          default:
-            throw new Error(`Unsupported import format: ${format}`);
+    // Collection saves made while fn runs are held back and written once it settles, as a single
+    // IndexedDB transaction
+    async batch(fn) {
+      this.batchDepth++;
+      try {
+        return await fn();
+      } finally {
+        this.batchDepth--;
+        if (this.batchDepth === 0 && this.batchSavePending) {
+          this.batchSavePending = false;
+          this.saveCollections();
         }
+      }
+    }
 
-        // Import entries
-        const activeCollection = this.storage.getActiveCollection();
-        for (const { username, options } of entries) {
-          try {
-            if (activeCollection.addEntry(username, options)) {
-              results.imported++;
-            } else {
-              results.skipped++;
-            }
-          } catch (e) {
-            results.errors.push({ username, error: e.message });
-          }
+    // --- Changes made in other tabs ---
+    // Last writer wins per collection: a copy replaces ours only if its metadata.modified is
+    // newer. Where ours is newer it is written back so storage ends up with the newest of each.
+
+    // Another tab wrote these collections to IndexedDB. Runs in the write queue so the records
+    // read here and storedRecords can't be overtaken by one of our own writes.
+    syncFromCollectionStore(ids) {
+      this.collectionWrite = this.collectionWrite.then(async () => {
+        if (!this.collectionStore) return true;
+        try {
+          const { collections, entries } = await this.collectionStore.readCollections(ids);
+
+          // storedRecords now mirrors the database for these collections, whichever copy wins
+          this.storedRecords.forEach((record, recordKey) => {
+            const collectionId = record.store === 'collections' ? record.key : record.key[0];
+            if (ids.includes(collectionId)) this.storedRecords.delete(recordKey);
+          });
+          this.rememberStoredRecords(collections, entries);
+
+          const remote = collections.map(record => ({
+            ...record,
+            entries: entries
+              .filter(entry => entry.collectionId === record.id)
+              .sort((a, b) => new Date(a.dateAdded) - new Date(b.dateAdded)),
+          }));
+          const removed = ids.filter(id => !collections.some(record => record.id === id));
+          const { localNewer } = this.mergeRemoteCollections(remote, removed);
+          if (localNewer) this.queueCollectionWrite();
+        } catch (e) {
+          console.error("[WL] Sync from IndexedDB failed:", e);
         }
+        return true;
+      });
+      return this.collectionWrite;
+    }
 
-        this.storage.saveCollections();
-        eventBus.emit('whitelist:imported', results);
+    // Another tab saved the whole collection list (localStorage / Tampermonkey backends)
+    applyRemoteCollections(list, removed = []) {
+      try {
+        const { localNewer } = this.mergeRemoteCollections(list, removed);
+        if (localNewer) this.saveCollections();
+      } catch (e) {
+        console.error("[WL] Applying collections from another tab failed:", e);
+      }
+    }
 
-        return results;
+    mergeRemoteCollections(list, removed) {
+      const updated = [];
+      const deleted = [];
+      let localNewer = false;
+
+      list.forEach(collectionData => {
+        const remote = WhitelistCollection.fromJSON(collectionData, this.getCollectionDefaults());
+        const local = this.collections.get(remote.id);
+        const remoteTime = remote.metadata.modified.getTime();
+        const localTime = local ? new Date(local.metadata.modified).getTime() : -Infinity;
+
+        // On a tie the stored copy is the one that was written last. Both sides go through
+        // fromJSON so only real differences count, not key order or Date vs string.
+        const sameTimeButDifferent = remoteTime === localTime &&
+          JSON.stringify(remote) !== JSON.stringify(WhitelistCollection.fromJSON(JSON.parse(JSON.stringify(local)), this.getCollectionDefaults()));
+        if (remoteTime > localTime || sameTimeButDifferent) {
+          this.collections.set(remote.id, remote);
+          updated.push(remote.id);
+        } else if (localTime > remoteTime) {
+          localNewer = true;
+        }
+      });
+
+      removed.forEach(id => {
+        if (id === 'default' || !this.collections.has(id)) return;
+        this.collections.delete(id);
+        deleted.push(id);
+      });
+
+      if (updated.length > 0 || deleted.length > 0) {
+        this.ensureDefaultCollection();
+        if (this.config.combination?.collections) {
+          this.config.combination.collections = this.config.combination.collections.filter(id => this.collections.has(id));
+        }
+        log(`Synced from another tab: ${updated.length} updated, ${deleted.length} deleted`);
+        eventBus.emit('storage:synced', { collections: updated, deleted, config: false });
+      }
+      return { updated, deleted, localNewer };
+    }
+
+    // Another tab saved its config. The active collection stays per tab: it follows this
+    // tab's route and the user's choice here.
+    applyRemoteConfig(stored) {
+      if (!stored || typeof stored !== 'object') return;
+      try {
+        const { activeCollection, lastGlobalCollection } = this.config;
+        this.config = { ...DEFAULT_CONFIG, ...stored, activeCollection, lastGlobalCollection };
+        this.ensureDefaultCollection();
+        log("Synced config from another tab");
+        eventBus.emit('storage:synced', { collections: [], deleted: [], config: true });
       } catch (e) {
-        console.error("[WL] Import failed:", e);
-        throw e;
+        console.error("[WL] Applying config from another tab failed:", e);
       }
     }
-  }
 
-  // --- Message Filtering Engine ---
+    // A newer version of the script migrated the data in another tab; saving from here would
+    // write the old format over it
+    applyRemoteSchema(version) {
+      if (this.readOnly || !(Number(version) > SCHEMA_VERSION)) return;
+      clearTimeout(this.toggleSaveTimer);
+      this.refuseStoredData(this.schema, 'newer', `Another tab updated the stored data to a newer version of the script (schema v${version}). Reload with the updated script; until then nothing is saved.`);
+      eventBus.emit('storage:read_only', this.getSchemaInfo());
+    }
 
-  // Discord DOM selectors for message detection
-  const MESSAGE_SELECTORS = {
-    messageContainer: 'li[id^="chat-messages-"], li.message',
-    messageList: '[data-list-id^="chat-messages"]',
-    authorElement: '[class*="username"]',
-    messageContent: '[id^="message-content-"]',
-    replyAuthor: '[class*="repliedTextPreview"] [class*="username"]',
-    systemMessage: '[class*="systemMessage"]'
-  };
+    getSchemaInfo() {
+      return { ...this.schema, readOnly: this.readOnly };
+    }
 
-  // CSS classes for filtering modes
-  const FILTER_CLASSES = {
-    hidden: 'wl-hidden',
-    collapsed: 'wl-collapsed',
-    placeholder: 'wl-placeholder',
-    indicator: 'wl-filtered-indicator'
-  };
+    // Automatic snapshot before a destructive change; null when autoBackup is off
+    backup(reason) {
+      return this.backups ? this.backups.take(reason) : null;
+    }
 
-  // Inject CSS styles for filtering
-  function injectFilterStyles() {
-    const styleId = 'whitelist-filter-styles';
-    if (document.getElementById(styleId)) return; // Already injected
+    getStoragePreferences() {
+      return { ...DEFAULT_CONFIG.storagePreferences, ...this.config.storagePreferences };
+    }
 
-    const styles = `
-      .${FILTER_CLASSES.hidden} {
-        display: none !important;
+    setBackupSettings({ autoBackup, maxBackups } = {}) {
+      const preferences = this.getStoragePreferences();
+      if (autoBackup !== undefined) {
+        preferences.autoBackup = autoBackup === true;
       }
-
-      .${FILTER_CLASSES.collapsed} {
-        opacity: 0.3;
-        background: rgba(114, 137, 218, 0.1);
-        border-left: 3px solid #7289da;
-        margin: 2px 0;
-        transition: all 0.2s ease;
+      if (maxBackups !== undefined) {
+        if (!Number.isInteger(maxBackups) || maxBackups < 1) {
+          throw new Error(`Invalid backup limit: ${maxBackups} (expected a whole number >= 1)`);
+        }
+        preferences.maxBackups = maxBackups;
       }
 
-      .${FILTER_CLASSES.collapsed}:hover {
-        opacity: 1;
-        background: rgba(114, 137, 218, 0.2);
-      }
+      this.config.storagePreferences = preferences;
+      this.saveConfig();
+      eventBus.emit('backup:settings_changed', preferences);
+      return preferences;
+    }
 
-      .${FILTER_CLASSES.placeholder} {
-        padding: 8px 16px;
-        font-size: 12px;
-        color: #72767d;
-        font-style: italic;
-        cursor: pointer;
-        user-select: none;
-      }
+    // Deep copy of everything a backup restores
+    createSnapshot() {
+      return JSON.parse(JSON.stringify({
+        schemaVersion: SCHEMA_VERSION,
+        collections: Array.from(this.collections.values()).map(collection => collection.toJSON()),
+        config: this.config,
+      }));
+    }
 
-      .${FILTER_CLASSES.indicator} {
-        position: relative;
+    restoreSnapshot(snapshot) {
+      if (this.readOnly) {
+        throw new Error(this.schema.error || 'Stored data is read-only');
+      }
+      // Snapshots from before schema versioning have no schemaVersion and get every step
+      const version = Number(snapshot.schemaVersion) || 0;
+      if (version > SCHEMA_VERSION) {
+        throw new Error(`Backup is from a newer version of the script (schema v${version})`);
+      }
+      const { data } = migrateSchemaData(snapshot, version);
+      const problems = validateSchemaData(data);
+      if (problems.length > 0) {
+        throw new Error(`Backup could not be migrated: ${problems.join('; ')}`);
       }
 
-      .${FILTER_CLASSES.indicator}::before {
-        content: "●";
-        position: absolute;
-        left: -10px;
-        top: 50%;
-        transform: translateY(-50%);
-        color: #7289da;
-        font-size: 8px;
+      // A pre-migration snapshot of data that had no collections yet leaves the current ones alone
+      if (data.collections !== null) {
+        // Restored collections count as just modified, so other tabs take them (last writer wins)
+        const now = new Date();
+        const restored = new Map();
+        data.collections.forEach(collectionData => {
+          const collection = WhitelistCollection.fromJSON(collectionData, this.getCollectionDefaults());
+          collection.metadata.modified = now;
+          restored.set(collection.id, collection);
+        });
+        this.collections = restored;
       }
 
-      /* Toggle Switch Styles */
-      .wl-message-toggle {
-        position: absolute;
-        top: 8px;
-        left: 12px;
-        width: 32px;
-        height: 18px;
-        background: var(--background-secondary, #2f3136);
-        border-radius: 12px;
-        border: 2px solid var(--background-tertiary, #202225);
-        cursor: pointer;
-        transition: all 0.2s ease;
-        z-index: 10;
-        box-shadow: 0 1px 3px rgba(0, 0, 0, 0.2);
+      this.config = { ...DEFAULT_CONFIG, ...data.config };
+      this.ensureDefaultCollection();
+      this.saveCollections();
+      this.saveConfig();
+
+      if (this.currentRoute) {
+        this.applyRoute(this.currentRoute);
       }
+    }
 
-      .wl-message-toggle:hover {
-        background: var(--background-secondary-alt, #36393f);
-        border-color: var(--interactive-hover, #4f545c);
+    async clearCollectionStore() {
+      await this.ready;
+      if (this.collectionStore) {
+        await this.collectionStore.clear();
+        this.storedRecords = new Map();
       }
+    }
 
-      .wl-message-toggle:focus {
-        outline: 2px solid var(--brand-experiment, #5865f2);
-        outline-offset: 2px;
+    // Global settings new (or legacy) collections inherit until they set their own
+    getCollectionDefaults() {
+      const globalSettings = this.config.globalSettings || DEFAULT_CONFIG.globalSettings;
+      return { caseSensitive: globalSettings.caseSensitive === true };
+    }
+
+    // Stored configs predating exemptions fall back to the defaults key by key
+    getExemptions() {
+      return { ...DEFAULT_CONFIG.globalSettings.exemptions, ...this.config.globalSettings?.exemptions };
+    }
+
+    getHighlightStyle() {
+      return { ...DEFAULT_CONFIG.globalSettings.highlight, ...this.config.globalSettings?.highlight };
+    }
+
+    setHighlightStyle(changes) {
+      this.config.globalSettings.highlight = { ...this.getHighlightStyle(), ...changes };
+      this.saveConfig();
+      eventBus.emit('filter:highlight_changed', this.getHighlightStyle());
+    }
+
+    loadToggleOverrides() {
+      try {
+        const stored = Storage.get(TOGGLE_OVERRIDES_KEY, []);
+        const records = Array.isArray(stored) ? stored.filter(record => record && record.messageId) : [];
+        this.toggleOverrides = new Map(records.map(record => [record.messageId, record]));
+      } catch (e) {
+        log("Toggle override load error, starting empty:", e);
+        this.toggleOverrides = new Map();
       }
+      this.pruneToggleOverrides(false);
+    }
 
-      .wl-message-toggle.active {
-        background: var(--brand-experiment, #5865f2);
-        border-color: var(--brand-experiment, #5865f2);
+    saveToggleOverrides() {
+      clearTimeout(this.toggleSaveTimer);
+      this.toggleSaveTimer = null;
+      if (this.readOnly) return false;
+      try {
+        Storage.set(TOGGLE_OVERRIDES_KEY, Array.from(this.toggleOverrides.values()));
+        return true;
+      } catch (e) {
+        console.error("[WL] Toggle override save failed:", e);
+        return false;
       }
+    }
 
-      .wl-message-toggle.active:hover {
-        background: var(--brand-experiment-560, #4752c4);
-        border-color: var(--brand-experiment-560, #4752c4);
+    getToggleOverrideSettings() {
+      return { ...DEFAULT_CONFIG.globalSettings.toggleOverrides, ...this.config.globalSettings?.toggleOverrides };
+    }
+
+    setToggleOverrideSettings(changes) {
+      const settings = { ...this.getToggleOverrideSettings(), ...changes };
+      if (!Number.isInteger(settings.maxEntries) || settings.maxEntries < 1) {
+        throw new Error(`Invalid override limit: ${settings.maxEntries} (expected a whole number >= 1)`);
+      }
+      if (!Number.isInteger(settings.maxAgeDays) || settings.maxAgeDays < 0) {
+        throw new Error(`Invalid override age: ${settings.maxAgeDays} (expected whole days >= 0)`);
       }
 
-      .wl-message-toggle::after {
-        content: '';
-        position: absolute;
-        top: 2px;
-        left: 2px;
-        width: 10px;
-        height: 10px;
-        background: white;
-        border-radius: 50%;
-        transition: transform 0.2s ease;
-        box-shadow: 0 1px 2px rgba(0, 0, 0, 0.2);
-      }
+      this.config.globalSettings.toggleOverrides = settings;
+      this.saveConfig();
+      this.pruneToggleOverrides();
+      eventBus.emit('toggle:overrides_changed', { settings });
+    }
 
-      .wl-message-toggle.active::after {
-        transform: translateX(14px);
+    // An override past the age limit is dropped the first time it is read, so a tab left open
+    // for days does not keep it alive until the next prune
+    hasToggleOverride(messageId) {
+      const record = this.toggleOverrides.get(messageId);
+      if (record && this.isToggleOverrideExpired(record)) {
+        this.pruneToggleOverrides();
+        return false;
       }
+      return !!record;
+    }
 
-      /* Message override indicator */
-      .wl-toggle-override {
-        position: relative;
-      }
+    isToggleOverrideExpired(record) {
+      const { maxAgeDays } = this.getToggleOverrideSettings();
+      return maxAgeDays > 0 && Date.parse(record.revealedAt) < Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    }
 
-      .wl-toggle-override::after {
-        content: "👁";
-        position: absolute;
-        right: 12px;
-        top: 10px;
-        font-size: 12px;
-        opacity: 0.5;
-      }
+    // Most recently used first
+    getToggleOverrides() {
+      this.pruneToggleOverrides();
+      return Array.from(this.toggleOverrides.values()).reverse().map(record => ({ ...record }));
+    }
 
-      /* Hide toggle switch on whitelisted messages */
-      .${FILTER_CLASSES.indicator} .wl-message-toggle {
-        display: none;
+    // details: { guildId, channelId, username, preview } captured when the message was revealed
+    setToggleOverride(messageId, visible, details = {}) {
+      if (!visible) {
+        if (!this.toggleOverrides.delete(messageId)) return false;
+      } else {
+        const now = new Date().toISOString();
+        const existing = this.toggleOverrides.get(messageId);
+        this.toggleOverrides.delete(messageId);
+        this.toggleOverrides.set(messageId, {
+          ...existing,
+          ...details,
+          messageId,
+          revealedAt: existing?.revealedAt || now,
+          usedAt: now,
+        });
+        this.pruneToggleOverrides(false);
       }
-    `;
-
-    const styleElement = document.createElement('style');
-    styleElement.id = styleId;
-    styleElement.textContent = styles;
-    document.head.appendChild(styleElement);
-    log("Filter styles injected");
-  }
 
-  // MessageObserver class for detecting Discord messages
-  class MessageObserver {
-    constructor(filterEngine) {
-      this.filterEngine = filterEngine;
-      this.observer = null;
-      this.debounceTimer = null;
-      this.isObserving = false;
-      this.pendingMutations = [];
-      this.debounceMs = 50;
+      this.saveToggleOverrides();
+      eventBus.emit('toggle:overrides_changed', { messageId, visible });
+      return true;
     }
 
-    start() {
-      if (this.isObserving) return;
-
-      try {
-        const targetNode = document.querySelector('#app-mount') || document.body;
-
-        this.observer = new MutationObserver((mutations) => {
-          this.handleMutations(mutations);
-        });
-
-        this.observer.observe(targetNode, {
-          childList: true,
-          subtree: true,
-          attributes: false
-        });
+    // Moves an override to the recent end when its message renders again. Rendering happens
+    // constantly, so the write is batched.
+    touchToggleOverride(messageId) {
+      const record = this.toggleOverrides.get(messageId);
+      if (!record || this.isToggleOverrideExpired(record)) return;
 
-        this.isObserving = true;
-        log("MessageObserver started");
+      record.usedAt = new Date().toISOString();
+      this.toggleOverrides.delete(messageId);
+      this.toggleOverrides.set(messageId, record);
 
-        // Process existing messages
-        this.processExistingMessages();
-      } catch (e) {
-        console.error("[WL] Failed to start MessageObserver:", e);
+      if (!this.toggleSaveTimer) {
+        this.toggleSaveTimer = setTimeout(() => this.saveToggleOverrides(), 1000);
       }
     }
 
-    stop() {
-      if (!this.isObserving) return;
-
-      try {
-        if (this.observer) {
-          this.observer.disconnect();
-          this.observer = null;
-        }
+    // Drops overrides past the age limit, then least recently used ones over the size cap
+    pruneToggleOverrides(persist = true) {
+      const { maxEntries } = this.getToggleOverrideSettings();
+      const removed = [];
 
-        if (this.debounceTimer) {
-          clearTimeout(this.debounceTimer);
-          this.debounceTimer = null;
+      this.toggleOverrides.forEach((record, messageId) => {
+        if (this.isToggleOverrideExpired(record)) {
+          this.toggleOverrides.delete(messageId);
+          removed.push(messageId);
         }
+      });
 
-        this.isObserving = false;
-        this.pendingMutations = [];
-        log("MessageObserver stopped");
-      } catch (e) {
-        console.error("[WL] Failed to stop MessageObserver:", e);
+      while (this.toggleOverrides.size > maxEntries) {
+        const oldest = this.toggleOverrides.keys().next().value;
+        this.toggleOverrides.delete(oldest);
+        removed.push(oldest);
       }
-    }
-
-    handleMutations(mutations) {
-      // Add to pending mutations
-      this.pendingMutations.push(...mutations);
 
-      // Debounce processing
-      if (this.debounceTimer) {
-        clearTimeout(this.debounceTimer);
+      if (removed.length > 0) {
+        log(`Forgot ${removed.length} message toggle overrides`);
+        if (persist) {
+          this.saveToggleOverrides();
+          eventBus.emit('toggle:overrides_changed', { removed });
+        }
       }
+      return removed;
+    }
 
-      this.debounceTimer = setTimeout(() => {
-        this.processPendingMutations();
-      }, this.debounceMs);
+    clearToggleOverrides() {
+      const removed = Array.from(this.toggleOverrides.keys());
+      this.toggleOverrides.clear();
+      this.saveToggleOverrides();
+      eventBus.emit('toggle:overrides_changed', { removed });
+      return removed;
     }
 
-    processPendingMutations() {
-      const mutations = [...this.pendingMutations];
-      this.pendingMutations = [];
+    getViewportMargin() {
+      const margin = this.config.globalSettings?.viewportMargin;
+      return Number.isFinite(margin) && margin >= 0 ? margin : DEFAULT_CONFIG.globalSettings.viewportMargin;
+    }
 
-      const messagesToProcess = new Set();
+    setViewportMargin(margin) {
+      const value = Math.round(Number(margin));
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid viewport margin: ${margin} (expected pixels >= 0)`);
+      }
+      this.config.globalSettings.viewportMargin = value;
+      this.saveConfig();
+      eventBus.emit('filter:viewport_margin_changed', { margin: value });
+    }
 
-      try {
-        mutations.forEach(mutation => {
-          mutation.addedNodes.forEach(node => {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              // Direct message container
-              if (this.isMessageContainer(node)) {
-                messagesToProcess.add(node);
-              }
+    setExemptions(changes) {
+      this.config.globalSettings.exemptions = { ...this.getExemptions(), ...changes };
+      this.saveConfig();
+      eventBus.emit('filter:exemptions_changed', this.getExemptions());
+    }
 
-              // Search for message containers within added nodes
-              const messageContainers = node.querySelectorAll?.(MESSAGE_SELECTORS.messageContainer);
-              if (messageContainers) {
-                messageContainers.forEach(container => messagesToProcess.add(container));
-              }
-            }
-          });
-        });
+    getMaxEntries(collection) {
+      const own = collection?.settings?.maxEntries;
+      if (Number.isInteger(own) && own > 0) {
+        return own;
+      }
+      const globalLimit = this.config.globalSettings?.maxEntries;
+      return Number.isInteger(globalLimit) && globalLimit > 0 ? globalLimit : DEFAULT_CONFIG.globalSettings.maxEntries;
+    }
 
-        // Process unique messages in batch
-        if (messagesToProcess.size > 0) {
-          this.filterEngine.processMessages(Array.from(messagesToProcess));
-        }
-      } catch (e) {
-        console.error("[WL] Error processing mutations:", e);
+    // Throws EntryLimitError when adding `count` new entries would exceed the collection's limit
+    assertCapacity(collection, count = 1) {
+      const limit = this.getMaxEntries(collection);
+      if (collection.getSize() + count > limit) {
+        throw new EntryLimitError(limit, collection.id);
       }
     }
 
-    processExistingMessages() {
-      try {
-        const existingMessages = document.querySelectorAll(MESSAGE_SELECTORS.messageContainer);
-        log(`processExistingMessages: Found ${existingMessages.length} messages with selector "${MESSAGE_SELECTORS.messageContainer}"`);
+    reportLimitReached(collection, rejected) {
+      const limit = this.getMaxEntries(collection);
+      console.warn(`[WL] Entry limit reached for "${collection.name}" (${limit}); rejected ${rejected.length} entr${rejected.length === 1 ? 'y' : 'ies'}`);
+      eventBus.emit('whitelist:limit_reached', {
+        collection: collection.id,
+        limit,
+        size: collection.getSize(),
+        rejected,
+      });
+    }
 
-        // Debug: try alternative selectors
-        const altMessages = document.querySelectorAll('li.message');
-        log(`processExistingMessages: Found ${altMessages.length} messages with selector "li.message"`);
+    saveCollections() {
+      if (this.readOnly) return false;
+      this.revision++;
+      if (this.batchDepth > 0) {
+        this.batchSavePending = true;
+        return true;
+      }
+      if (this.collectionStore) {
+        this.queueCollectionWrite();
+        return true;
+      }
+      if (this.collectionStoreOpening) {
+        this.savePendingOpen = true;
+        return true;
+      }
 
-        if (existingMessages.length > 0) {
-          log(`Processing ${existingMessages.length} existing messages`);
-          this.filterEngine.processMessages(Array.from(existingMessages));
-        } else if (altMessages.length > 0) {
-          log(`Using alternative selector - processing ${altMessages.length} existing messages`);
-          this.filterEngine.processMessages(Array.from(altMessages));
-        }
+      const collectionsArray = Array.from(this.collections.values()).map(c => c.toJSON());
+      try {
+        Storage.set(COLLECTIONS_KEY, collectionsArray);
+        return true;
       } catch (e) {
-        console.error("[WL] Error processing existing messages:", e);
+        // Backups share this quota; they are given up before an edit is
+        const backups = Storage.get(BACKUPS_KEY, []);
+        if (Array.isArray(backups) && backups.length > 0) {
+          try {
+            Storage.remove(BACKUPS_KEY);
+            Storage.set(COLLECTIONS_KEY, collectionsArray);
+            console.error(`[WL] ${Storage.type} is full; dropped ${backups.length} backups to save collections`);
+            eventBus.emit('backup:deleted', { ids: backups.map(backup => backup.id) });
+            return true;
+          } catch (_) {
+            /* still no room; reported below */
+          }
+        }
+        console.error("[WL] Collections save failed:", e);
+        return false;
       }
     }
 
-    isMessageContainer(element) {
-      return element.matches && (
-        element.matches('li[id^="chat-messages-"]') ||
-        element.matches('li.message')
-      );
+    getActiveCollection() {
+      return this.collections.get(this.config.activeCollection);
     }
-  }
 
-  // FilterEngine class for applying whitelist-based filtering
-  class FilterEngine {
-    constructor(whitelistManager, storageManager) {
-      this.whitelist = whitelistManager;
-      this.storage = storageManager;
-      this.observer = new MessageObserver(this);
-      this.isInitialized = false;
-      this.messageCache = new Map(); // Cache filtering results
-      this.stats = {
-        processed: 0,
-        filtered: 0,
-        whitelisted: 0
-      };
+    // Active collection plus the collections combined with it (stale IDs are dropped)
+    getCombination() {
+      const stored = this.config.combination || {};
+      const mode = Object.values(COMBINATION_MODES).includes(stored.mode) ? stored.mode : COMBINATION_MODES.single;
+      const collections = (Array.isArray(stored.collections) ? stored.collections : [])
+        .filter(id => id !== this.config.activeCollection && this.collections.has(id));
+      return { mode, collections: [...new Set(collections)] };
     }
 
-    initialize() {
-      if (this.isInitialized) return;
+    setCombination(combination = {}) {
+      const current = this.getCombination();
+      const mode = combination.mode || current.mode;
+      if (!Object.values(COMBINATION_MODES).includes(mode)) {
+        throw new Error(`Invalid combination mode: ${mode}`);
+      }
 
-      try {
-        // Inject CSS styles
-        injectFilterStyles();
+      const collections = combination.collections || current.collections;
+      const missing = collections.filter(id => !this.collections.has(id));
+      if (missing.length > 0) {
+        throw new Error(`Collection ${missing.join(', ')} does not exist`);
+      }
 
-        // Listen for whitelist changes
-        eventBus.on('whitelist:user_added', () => this.refreshAllMessages());
-        eventBus.on('whitelist:user_removed', () => this.refreshAllMessages());
-        eventBus.on('whitelist:cleared', () => this.refreshAllMessages());
-        eventBus.on('collection:switched', () => this.refreshAllMessages());
+      this.config.combination = { mode, collections: [...new Set(collections)] };
+      this.saveConfig();
 
-        // Start observing
-        this.observer.start();
+      eventBus.emit('collection:combination_changed', this.getCombination());
+      return this.getCombination();
+    }
 
-        this.isInitialized = true;
-        log("FilterEngine initialized");
-      } catch (e) {
-        console.error("[WL] Failed to initialize FilterEngine:", e);
+    getDisplayOverrides() {
+      const overrides = this.config.displayOverrides || {};
+      return {
+        channels: { ...overrides.channels },
+        guilds: { ...overrides.guilds },
+      };
+    }
+
+    // Channel overrides win over server overrides; returns { mode, scope, id, label } or null
+    getDisplayOverride(route = this.currentRoute || parseDiscordRoute()) {
+      const { channels, guilds } = this.getDisplayOverrides();
+      if (route.channelId && channels[route.channelId]) {
+        return { ...channels[route.channelId], scope: 'channel', id: route.channelId };
+      }
+      if (route.guildId && guilds[route.guildId]) {
+        return { ...guilds[route.guildId], scope: 'server', id: route.guildId };
       }
+      return null;
     }
 
-    shutdown() {
-      if (!this.isInitialized) return;
+    // `mode` null clears the override. `scope` is 'channel' or 'server'.
+    setDisplayOverride(scope, id, mode, label = '') {
+      if (!['channel', 'server'].includes(scope)) {
+        throw new Error(`Invalid override scope: ${scope}`);
+      }
+      if (!isValidScopeId(id)) {
+        throw new Error(`Invalid ${scope} ID: ${id}`);
+      }
+      if (mode !== null && !Object.values(DISPLAY_OVERRIDE_MODES).includes(mode)) {
+        throw new Error(`Invalid display mode: ${mode}`);
+      }
 
-      try {
-        this.observer.stop();
-        this.clearAllFiltering();
-        this.messageCache.clear();
-        this.isInitialized = false;
-        log("FilterEngine shutdown");
-      } catch (e) {
-        console.error("[WL] Error shutting down FilterEngine:", e);
+      const overrides = this.getDisplayOverrides();
+      const bucket = scope === 'channel' ? overrides.channels : overrides.guilds;
+      if (mode === null) {
+        delete bucket[id];
+      } else {
+        bucket[id] = { mode, label: label || bucket[id]?.label || '' };
       }
-    }
 
-    processMessages(messageElements) {
-      if (!this.isEnabled()) return;
+      this.config.displayOverrides = overrides;
+      this.saveConfig();
 
-      try {
-        const config = this.storage.config.globalSettings;
-        const batchSize = 20; // Process in smaller batches for performance
+      eventBus.emit('filter:display_override_changed', { scope, id, mode });
+      log(`Display override for ${scope} ${id}: ${mode || 'cleared'}`);
+      return overrides;
+    }
 
-        for (let i = 0; i < messageElements.length; i += batchSize) {
-          const batch = messageElements.slice(i, i + batchSize);
-          batch.forEach(messageElement => {
-            this.filterMessage(messageElement);
-          });
+    getActiveCollections() {
+      const active = this.getActiveCollection();
+      if (!active) return [];
 
-          // Yield control to prevent blocking
-          if (i + batchSize < messageElements.length) {
-            setTimeout(() => {}, 0);
-          }
-        }
+      const { mode, collections } = this.getCombination();
+      if (mode === COMBINATION_MODES.single) return [active];
+      return [active, ...collections.map(id => this.collections.get(id))];
+    }
 
-        this.stats.processed += messageElements.length;
-        log(`Processed ${messageElements.length} messages (${this.stats.processed} total)`);
+    getAllCollections() {
+      return Array.from(this.collections.values());
+    }
 
-        // Emit event to update UI stats
-        eventBus.emit('filter:stats_updated', this.getStats());
-      } catch (e) {
-        console.error("[WL] Error processing message batch:", e);
-      }
+    getCollection(id) {
+      return this.collections.get(id);
     }
 
-    filterMessage(messageElement) {
-      if (!messageElement || !this.isEnabled()) {
-        log(`filterMessage: Skipped - element: ${!!messageElement}, enabled: ${this.isEnabled()}`);
-        return;
+    createCollection(name, options = {}) {
+      const id = options.id || generateId();
+      if (this.collections.has(id)) {
+        throw new Error(`Collection with ID ${id} already exists`);
       }
 
-      try {
-        const messageId = messageElement.id;
-        log(`filterMessage: Processing message ${messageId}`);
-
-        // Check if toggle is overriding visibility
-        if (MessageToggleSwitch.getToggleState(messageId)) {
-          log(`filterMessage: Message ${messageId} has toggle override - keeping visible`);
-          // Ensure toggle switch exists
-          const toggle = new MessageToggleSwitch(messageElement, messageId);
-          toggle.create();
-          toggle.isVisible = true;
-          toggle.showMessage();
-          return;
-        }
+      const collection = new WhitelistCollection(name, {
+        ...options,
+        id,
+        settings: { ...this.getCollectionDefaults(), ...options.settings },
+      });
+      this.collections.set(id, collection);
+      this.saveCollections();
 
-        // Check cache first
-        if (this.messageCache.has(messageId)) {
-          const cached = this.messageCache.get(messageId);
-          log(`filterMessage: Using cached result for ${messageId} - username: ${cached.username}, whitelisted: ${cached.isWhitelisted}`);
-          this.applyDisplayMode(messageElement, cached.isWhitelisted, cached.username);
-          return;
-        }
+      eventBus.emit('collection:created', { collection: collection.toJSON() });
+      return id;
+    }
 
-        // Extract username
-        const username = this.extractUsername(messageElement);
-        log(`filterMessage: Extracted username: "${username}" from message ${messageId}`);
+    deleteCollection(id) {
+      if (id === 'default') {
+        throw new Error('Cannot delete default collection');
+      }
+      if (!this.collections.has(id)) {
+        return false;
+      }
 
-        if (!username) {
-          // Keep non-user messages visible (system messages, etc.)
-          log(`filterMessage: No username found, keeping message ${messageId} visible`);
-          this.removeFilterClasses(messageElement);
-          return;
-        }
+      const collection = this.collections.get(id);
+      const wasActive = this.config.activeCollection === id;
+      this.backup(`Before deleting "${collection.name}"`);
+      this.collections.delete(id);
 
-        // Check whitelist
-        const isWhitelisted = this.whitelist.isWhitelisted(username);
-        log(`filterMessage: Username "${username}" is ${isWhitelisted ? 'WHITELISTED' : 'NOT WHITELISTED'}`);
+      // Drop it from any combination
+      if (this.config.combination?.collections?.includes(id)) {
+        this.config.combination.collections = this.config.combination.collections.filter(other => other !== id);
+        this.saveConfig();
+      }
 
-        // Cache result
-        this.messageCache.set(messageId, { isWhitelisted, username });
+      // If deleting active collection, switch to default
+      if (this.config.activeCollection === id) {
+        this.config.activeCollection = 'default';
+        this.saveConfig();
+      }
 
-        // Apply filtering
-        log(`filterMessage: Applying display mode for ${username} (whitelisted: ${isWhitelisted})`);
-        this.applyDisplayMode(messageElement, isWhitelisted, username);
+      this.saveCollections();
+      eventBus.emit('collection:deleted', { id });
 
-        // Update stats
-        if (isWhitelisted) {
-          this.stats.whitelisted++;
-        } else {
-          this.stats.filtered++;
-        }
+      this.history.push(
+        `Delete collection "${collection.name}"`,
+        () => this.restoreCollection(collection, wasActive),
+        () => this.deleteCollection(id)
+      );
+      return true;
+    }
 
-      } catch (e) {
-        console.error("[WL] Error filtering message:", e);
-        // On error, keep message visible
-        this.removeFilterClasses(messageElement);
+    // Puts a deleted collection back (undo of deleteCollection)
+    restoreCollection(collection, activate = false) {
+      collection.metadata.modified = new Date();
+      this.collections.set(collection.id, collection);
+      this.saveCollections();
+      eventBus.emit('collection:created', { collection: collection.toJSON() });
+
+      if (activate) {
+        this.switchActiveCollection(collection.id);
       }
     }
 
-    extractUsername(messageElement) {
-      try {
-        // Discord message structure analysis:
-        // - Regular messages have username in the header
-        // - Reply messages have TWO usernames: the referenced user AND the actual author
-        // - We need to find the actual message author, not the referenced user
-
-        // Strategy: Get all username elements and filter intelligently
-        const usernameElements = Array.from(messageElement.querySelectorAll('[class*="username"]'));
+    switchActiveCollection(id, options = {}) {
+      if (!this.collections.has(id)) {
+        throw new Error(`Collection ${id} does not exist`);
+      }
 
-        if (usernameElements.length === 0) {
-          log(`extractUsername: No username elements found in message ${messageElement.id}, looking for grouped message`);
-          // This might be a consecutive message from the same user
-          // Look backwards through previous siblings to find the username
-          return this.findUsernameFromPreviousMessage(messageElement);
-        }
+      const oldId = this.config.activeCollection;
+      this.config.activeCollection = id;
 
-        log(`extractUsername: Found ${usernameElements.length} username elements in message`);
+      // Remember the last unscoped collection so we can return to it when leaving scoped servers
+      if (!this.collections.get(id).isScoped()) {
+        this.config.lastGlobalCollection = id;
+      }
+      this.saveConfig();
 
-        // For replies, we need to skip the first username (referenced user) if it's in a reply container
-        for (let i = 0; i < usernameElements.length; i++) {
-          const element = usernameElements[i];
-          const text = element.textContent?.trim();
+      eventBus.emit('collection:switched', { from: oldId, to: id, reason: options.reason || 'manual' });
+      return true;
+    }
 
-          if (!text || text.length === 0 || text.length > 32) {
-            continue;
-          }
+    findCollectionForRoute(route) {
+      let bestId = null;
+      let bestScore = 0;
 
-          // Check if this username is in a reply preview section
-          const isInReplyPreview = element.closest('[class*="repliedText"]') !== null ||
-                                   element.closest('[class*="repliedTextPreview"]') !== null ||
-                                   element.closest('[class*="replyBar"]') !== null;
+      this.collections.forEach(collection => {
+        const score = collection.matchRoute(route);
+        if (score > bestScore) {
+          bestScore = score;
+          bestId = collection.id;
+        }
+      });
 
-          if (isInReplyPreview) {
-            log(`extractUsername: Skipping reply preview username at index ${i}: "${text}"`);
-            continue;
-          }
+      return bestId;
+    }
 
-          // Check if this username is in the main message header
-          const isInHeader = element.closest('[class*="headerText"]') !== null ||
-                            element.closest('[class*="header_"]') !== null ||
-                            element.closest('[class*="messageHeader"]') !== null ||
-                            element.closest('h3') !== null;  // Discord often uses h3 for message headers
+    applyRoute(route) {
+      this.currentRoute = route;
 
-          if (isInHeader || i === usernameElements.length - 1) {
-            // This should be the actual message author
-            log(`extractUsername: Found message author at index ${i}: "${text}" (inHeader: ${isInHeader})`);
-            return text;
-          }
-        }
+      const active = this.getActiveCollection();
+      const scopedId = this.findCollectionForRoute(route);
 
-        // Fallback: If we couldn't determine the structure, return the last username found
-        // (which is usually the actual author)
-        const lastUsername = usernameElements[usernameElements.length - 1];
-        const fallbackText = lastUsername?.textContent?.trim();
-        if (fallbackText && fallbackText.length > 0 && fallbackText.length <= 32) {
-          log(`extractUsername: Using fallback (last username): "${fallbackText}"`);
-          return fallbackText;
+      if (scopedId) {
+        if (scopedId !== active?.id) {
+          log(`Route ${route.guildId}/${route.channelId} activates scoped collection ${scopedId}`);
+          this.switchActiveCollection(scopedId, { reason: 'route' });
         }
+        return;
+      }
 
-        log(`extractUsername: No valid username found for message ${messageElement.id}`);
-        return null;
-      } catch (e) {
-        console.error("[WL] Error extracting username:", e);
-        return null;
+      // Left every scoped server/channel: fall back to the last global collection
+      if (active && active.isScoped()) {
+        const fallback = this.collections.get(this.config.lastGlobalCollection);
+        const fallbackId = fallback && !fallback.isScoped() ? fallback.id : 'default';
+        log(`Route left scope of "${active.name}", returning to ${fallbackId}`);
+        this.switchActiveCollection(fallbackId, { reason: 'route' });
       }
     }
 
-    findUsernameFromPreviousMessage(messageElement) {
-      try {
-        log(`findUsernameFromPreviousMessage: Looking for username in previous messages for ${messageElement.id}`);
-
-        // Discord groups consecutive messages from the same user
-        // Walk backwards through previous siblings to find a message with a username
-        let currentElement = messageElement.previousElementSibling;
-        let searchCount = 0;
-        const maxSearch = 10; // Limit search to prevent infinite loops
-
-        while (currentElement && searchCount < maxSearch) {
-          searchCount++;
+    setCollectionScope(id, scope) {
+      const collection = this.collections.get(id);
+      if (!collection) {
+        throw new Error(`Collection ${id} does not exist`);
+      }
+      if (id === 'default' && (scope?.guildIds?.length || scope?.channelIds?.length)) {
+        throw new Error('Default collection cannot be scoped');
+      }
 
-          // Check if this is a message container
-          if (this.isMessageElement(currentElement)) {
-            log(`findUsernameFromPreviousMessage: Checking previous message ${currentElement.id || 'unknown'} (search #${searchCount})`);
+      collection.setScope(scope);
+      this.saveCollections();
 
-            // Try to extract username from this message
-            const usernameElements = Array.from(currentElement.querySelectorAll('[class*="username"]'));
+      eventBus.emit('collection:scope_updated', { id, scope: collection.getScope() });
 
-            for (const element of usernameElements) {
-              const text = element.textContent?.trim();
+      // Re-evaluate which collection belongs to the current page
+      if (this.currentRoute) {
+        this.applyRoute(this.currentRoute);
+      }
+      return collection.getScope();
+    }
+  }
 
-              if (!text || text.length === 0 || text.length > 32) {
-                continue;
-              }
+  // --- Route Tracking ---
+  // Discord is a single-page app; watch history changes to know the current server/channel
+  class RouteWatcher {
+    constructor() {
+      this.current = parseDiscordRoute();
+      this.started = false;
+      this.pollTimer = null;
+      this.pollMs = 1000;
+    }
 
-              // Skip reply preview usernames
-              const isInReplyPreview = element.closest('[class*="repliedText"]') !== null ||
-                                      element.closest('[class*="repliedTextPreview"]') !== null ||
-                                      element.closest('[class*="replyBar"]') !== null;
+    start() {
+      if (this.started) return;
 
-              if (isInReplyPreview) {
-                continue;
-              }
+      const check = () => this.check();
 
-              // Check if this username is in the main message header
-              const isInHeader = element.closest('[class*="headerText"]') !== null ||
-                                element.closest('[class*="header_"]') !== null ||
-                                element.closest('[class*="messageHeader"]') !== null ||
-                                element.closest('h3') !== null;
+      try {
+        ['pushState', 'replaceState'].forEach(method => {
+          const original = window.history[method];
+          window.history[method] = function (...args) {
+            const result = original.apply(this, args);
+            check();
+            return result;
+          };
+        });
+      } catch (e) {
+        log("RouteWatcher: history patching unavailable, relying on polling", e);
+      }
 
-              if (isInHeader) {
-                log(`findUsernameFromPreviousMessage: Found username from previous message: "${text}"`);
-                return text;
-              }
-            }
+      window.addEventListener('popstate', check);
 
-            // If this previous message also has no username, continue searching
-            // but if it has a username that we couldn't match our criteria, stop searching
-            // (this might be a different user's message)
-            if (usernameElements.length > 0) {
-              log(`findUsernameFromPreviousMessage: Previous message has username elements but none matched criteria, stopping search`);
-              break;
-            }
-          }
+      // Userscript sandboxes may not see the page's own history calls
+      this.pollTimer = setInterval(check, this.pollMs);
 
-          currentElement = currentElement.previousElementSibling;
-        }
+      this.started = true;
+      log("RouteWatcher started:", this.current);
+    }
 
-        log(`findUsernameFromPreviousMessage: No username found in ${searchCount} previous messages`);
-        return null;
-      } catch (e) {
-        console.error("[WL] Error finding username from previous message:", e);
-        return null;
+    check() {
+      const route = parseDiscordRoute();
+      if (route.guildId === this.current.guildId && route.channelId === this.current.channelId) {
+        return;
       }
+
+      const previous = this.current;
+      this.current = route;
+      eventBus.emit('route:changed', { route, previous });
     }
+  }
 
-    isMessageElement(element) {
-      return element && element.matches && (
-        element.matches('li[id^="chat-messages-"]') ||
-        element.matches('li.message') ||
-        element.id?.startsWith('chat-messages-')
-      );
+  // Removes temporary entries when they run out. Wakes at the next expiry,
+  // but never sleeps longer than maxDelayMs so clock jumps and sleep are caught up.
+  class ExpiryScheduler {
+    constructor(whitelistManager) {
+      this.whitelistManager = whitelistManager;
+      this.timer = null;
+      this.started = false;
+      this.maxDelayMs = 60 * 1000;
     }
 
-    applyDisplayMode(messageElement, isWhitelisted, username) {
-      const config = this.storage.config.globalSettings;
-      const messageId = messageElement.id;
+    start() {
+      if (this.started) return;
+      this.started = true;
 
-      // Remove all filter classes first
-      this.removeFilterClasses(messageElement);
+      const reschedule = () => this.schedule();
+      ['whitelist:user_added', 'whitelist:bulk_update', 'whitelist:imported', 'collection:switched', 'storage:ready', 'storage:synced', 'backup:restored', 'history:applied'].forEach(event => {
+        eventBus.on(event, reschedule);
+      });
 
-      // Remove any existing toggle switches for whitelisted messages
-      if (isWhitelisted) {
-        const existingToggle = messageElement.querySelector('.wl-message-toggle');
-        if (existingToggle) {
-          existingToggle.remove();
-        }
-      }
+      this.sweep();
+    }
 
-      // If showing all temporarily or globally disabled, don't filter
-      if (config.showAllTemp || !config.enabled) {
-        return;
-      }
+    schedule() {
+      if (!this.started) return;
+      clearTimeout(this.timer);
 
-      // If whitelisted, just add indicator
-      if (isWhitelisted) {
-        messageElement.classList.add(FILTER_CLASSES.indicator);
+      const next = this.whitelistManager.getNextExpiry();
+      if (next === null) {
+        this.timer = null;
         return;
       }
 
-      // For non-whitelisted messages, add toggle switch
-      const toggle = new MessageToggleSwitch(messageElement, messageId);
-      toggle.create();
+      const delay = Math.min(Math.max(next - Date.now(), 0), this.maxDelayMs);
+      this.timer = setTimeout(() => this.sweep(), delay);
+    }
 
-      // Apply filtering based on mode
-      if (config.hardHide) {
-        // Hard hide mode: completely remove from DOM
-        messageElement.classList.add(FILTER_CLASSES.hidden);
-      } else {
-        // Normal mode: collapse with placeholder
-        this.applyCollapseMode(messageElement, username);
-      }
+    sweep() {
+      this.whitelistManager.removeExpiredEntries();
+      this.schedule();
+    }
 
-      // Also apply filtering to all child elements to handle complex Discord structure
-      this.applyFilteringToChildren(messageElement, isWhitelisted);
+    stop() {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.started = false;
     }
+  }
 
-    applyCollapseMode(messageElement, username) {
-      messageElement.classList.add(FILTER_CLASSES.collapsed);
+  // --- Cross-Tab Sync ---
+  // Picks up collections and config saved by other Discord tabs: storage events for localStorage,
+  // value change listeners for Tampermonkey storage, and a BroadcastChannel for IndexedDB, which
+  // has no change events of its own
+  class CrossTabSync {
+    constructor(storageManager) {
+      this.storage = storageManager;
+      this.tabId = generateId();
+      this.channel = null;
+      this.removers = [];
+      this.started = false;
+    }
 
-      // Add click handler to expand/collapse
-      const handleClick = (e) => {
-        e.stopPropagation();
-        if (messageElement.classList.contains(FILTER_CLASSES.collapsed)) {
-          messageElement.classList.remove(FILTER_CLASSES.collapsed);
-          messageElement.style.opacity = '1';
-        } else {
-          messageElement.classList.add(FILTER_CLASSES.collapsed);
-          messageElement.style.opacity = '0.3';
+    start() {
+      if (this.started) return;
+      this.started = true;
+
+      try {
+        if (Storage.type === 'localStorage') {
+          const onStorage = (e) => {
+            if (e.storageArea !== window.localStorage) return;
+            this.handleValueChange(e.key, this.parse(e.oldValue), this.parse(e.newValue));
+          };
+          window.addEventListener('storage', onStorage);
+          this.removers.push(() => window.removeEventListener('storage', onStorage));
+        // @ts-ignore
+        } else if (Storage.type === 'tampermonkey' && typeof GM_addValueChangeListener === 'function') {
+          [COLLECTIONS_KEY, CONFIG_KEY, SCHEMA_KEY].forEach(key => {
+            // @ts-ignore
+            const listenerId = GM_addValueChangeListener(key, (name, oldValue, newValue, remote) => {
+              if (remote) this.handleValueChange(name, oldValue, newValue);
+            });
+            // @ts-ignore
+            this.removers.push(() => typeof GM_removeValueChangeListener === 'function' && GM_removeValueChangeListener(listenerId));
+          });
         }
-      };
 
-      // Remove existing click handlers
-      messageElement.removeEventListener('click', handleClick);
-      messageElement.addEventListener('click', handleClick);
+        if (typeof BroadcastChannel === 'function') {
+          this.channel = new BroadcastChannel(IDB_NAME);
+          this.channel.onmessage = (e) => this.handleMessage(e.data);
+          const onSaved = ({ ids }) => this.post({ type: 'collections', ids });
+          eventBus.on('storage:collections_saved', onSaved);
+          this.removers.push(() => eventBus.off('storage:collections_saved', onSaved));
+        }
+      } catch (e) {
+        console.error("[WL] Cross-tab sync setup failed:", e);
+      }
+    }
 
-      // Add placeholder text if message is very short
-      const messageHeight = messageElement.offsetHeight;
-      if (messageHeight < 50) {
-        this.addPlaceholderText(messageElement, username);
+    parse(text) {
+      try {
+        return text == null ? null : JSON.parse(text);
+      } catch (_) {
+        return null;
       }
     }
 
-    addPlaceholderText(messageElement, username) {
-      // Check if placeholder already exists
-      if (messageElement.querySelector(`.${FILTER_CLASSES.placeholder}`)) {
+    handleValueChange(key, oldValue, newValue) {
+      if (key === SCHEMA_KEY) {
+        this.storage.applyRemoteSchema(newValue);
         return;
       }
-
-      const placeholder = document.createElement('div');
-      placeholder.className = FILTER_CLASSES.placeholder;
-      placeholder.textContent = `Message from ${username} (click to expand)`;
-
-      // Insert placeholder at the beginning
-      const firstChild = messageElement.firstElementChild;
-      if (firstChild) {
-        messageElement.insertBefore(placeholder, firstChild);
-      } else {
-        messageElement.appendChild(placeholder);
+      // A tab that can't save doesn't take in other tabs' data either
+      if (this.storage.readOnly) return;
+
+      if (key === CONFIG_KEY) {
+        this.storage.applyRemoteConfig(newValue);
+      } else if (key === COLLECTIONS_KEY && Array.isArray(newValue) && this.storage.getStorageType() !== 'indexedDB') {
+        // Collections the other tab had before this write but not after were deleted there
+        const remaining = new Set(newValue.map(collection => collection.id));
+        const removed = Array.isArray(oldValue)
+          ? oldValue.map(collection => collection.id).filter(id => !remaining.has(id))
+          : [];
+        this.storage.applyRemoteCollections(newValue, removed);
       }
     }
 
-    applyFilteringToChildren(messageElement, isWhitelisted) {
-      if (isWhitelisted) return;
+    handleMessage(message) {
+      if (!message || message.tabId === this.tabId || this.storage.readOnly) return;
+      if (message.type === 'collections' && Array.isArray(message.ids) && this.storage.getStorageType() === 'indexedDB') {
+        this.storage.syncFromCollectionStore(message.ids);
+      }
+    }
 
+    post(message) {
       try {
-        log(`applyFilteringToChildren: Processing message ${messageElement.id}`);
-        const totalTextBefore = messageElement.textContent.length;
+        this.channel?.postMessage({ ...message, tabId: this.tabId });
+      } catch (e) {
+        log("Cross-tab broadcast failed:", e);
+      }
+    }
 
-        // NUCLEAR OPTION: Apply filtering to EVERY element with text content
-        // This brute force approach should catch everything Discord throws at us
-
-        const allElements = messageElement.querySelectorAll('*');
-        log(`Found ${allElements.length} total elements in message`);
+    stop() {
+      this.removers.forEach(remove => remove());
+      this.removers = [];
+      this.channel?.close();
+      this.channel = null;
+      this.started = false;
+    }
+  }
 
-        // Apply to all elements that contain text content
-        allElements.forEach(element => {
-          if (element.textContent && element.textContent.trim().length > 0) {
-            // Skip already processed elements
-            if (!element.classList.contains('wl-filtered-child')) {
-              element.classList.add('wl-filtered-child');
-              this.applyFilterStyle(element);
-            }
-          }
-        });
+  // --- Backups ---
+  // Rolling snapshots of every collection plus the config, newest first. Automatic ones (before
+  // destructive operations, and once changes settle) honour autoBackup; create() always runs.
+  class BackupManager {
+    constructor(storageManager) {
+      this.storage = storageManager;
+      this.timer = null;
+      this.started = false;
+      this.checkedRevision = 0;
+      this.backedUpRevision = 0;
+      this.queue = Promise.resolve();
+    }
 
-        // Also find ALL text nodes and filter their immediate parents
-        const walker = document.createTreeWalker(
-          messageElement,
-          NodeFilter.SHOW_TEXT,
-          {
-            acceptNode: function(node) {
-              return node.textContent.trim().length > 0 ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
-            }
-          }
-        );
+    start() {
+      if (this.started) return;
+      this.started = true;
+
+      // Loading and migrating collections saves too; that is not a change worth a backup
+      this.storage.ready.then(() => {
+        this.checkedRevision = this.storage.revision;
+        this.backedUpRevision = this.storage.revision;
+        this.schedule();
+      });
+    }
 
-        const textNodes = [];
-        let node;
-        while (node = walker.nextNode()) {
-          textNodes.push(node);
-        }
+    schedule() {
+      clearTimeout(this.timer);
+      if (!this.started) return;
+      const { syncFrequency } = this.storage.getStoragePreferences();
+      this.timer = setTimeout(() => this.tick(), Math.max(Number(syncFrequency) || 0, 1000));
+    }
 
-        log(`Found ${textNodes.length} text nodes in message`);
+    // Changed since the last backup but not since the previous tick: the edits have settled
+    tick() {
+      const revision = this.storage.revision;
+      if (revision !== this.backedUpRevision && revision === this.checkedRevision) {
+        this.take('Scheduled', { scheduled: true });
+      }
+      this.checkedRevision = revision;
+      this.schedule();
+    }
 
-        // Apply filtering to immediate parent of every text node
-        textNodes.forEach((textNode, index) => {
-          const parent = textNode.parentElement;
-          if (parent && parent !== messageElement) {
-            if (!parent.classList.contains('wl-filtered-child')) {
-              parent.classList.add('wl-filtered-child');
-              this.applyFilterStyle(parent);
-              log(`Filtered text node ${index}: "${textNode.textContent.trim().substring(0, 30)}..."`);
-            }
-          }
-        });
+    stop() {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.started = false;
+    }
 
-        // Schedule multiple re-checks to catch any dynamically added content
-        setTimeout(() => {
-          this.recheckMessage(messageElement);
-        }, 100);
+    // Captures the current state right away and stores it in the background; returns its summary
+    take(reason, { force = false, scheduled = false } = {}) {
+      if (!force && !this.storage.getStoragePreferences().autoBackup) return null;
 
-        // Additional recheck after 250ms for stubborn messages
-        setTimeout(() => {
-          this.recheckMessage(messageElement);
-        }, 250);
+      try {
+        const backup = {
+          id: generateId(),
+          createdAt: new Date().toISOString(),
+          reason,
+          scheduled,
+          ...this.storage.createSnapshot(),
+        };
+        this.backedUpRevision = this.storage.revision;
 
-        log(`applyFilteringToChildren: Completed message ${messageElement.id}, processed ${allElements.length} elements and ${textNodes.length} text nodes`);
+        this.enqueue(async () => {
+          await this.write(backup);
+          await this.prune();
+          log(`Backup taken: ${reason}`);
+          eventBus.emit('backup:created', this.summarize(backup));
+        }).catch(e => console.error("[WL] Backup failed:", e));
 
+        return this.summarize(backup);
       } catch (e) {
-        console.error("[WL] Error applying filtering to children:", e);
-      }
-    }
-
-    recheckMessage(messageElement) {
-      try {
-        // Double-check for any remaining visible text content
-        const visibleElements = [];
-        const walker = document.createTreeWalker(
-          messageElement,
-          NodeFilter.SHOW_ALL,
-          {
-            acceptNode: function(node) {
-              if (node.nodeType === Node.TEXT_NODE && node.textContent.trim().length > 0) {
-                const parent = node.parentElement;
-                const computedStyle = parent ? window.getComputedStyle(parent) : null;
-
-                // Check if this text is actually visible (not hidden by our filtering)
-                if (computedStyle &&
-                    computedStyle.opacity !== '0.2' &&
-                    computedStyle.display !== 'none' &&
-                    !parent.classList.contains('wl-filtered-child')) {
-                  return NodeFilter.FILTER_ACCEPT;
-                }
-              }
-              return NodeFilter.FILTER_REJECT;
-            }
-          }
-        );
-
-        let node;
-        while (node = walker.nextNode()) {
-          visibleElements.push({
-            text: node.textContent.trim().substring(0, 50),
-            parent: node.parentElement ? {
-              tag: node.parentElement.tagName,
-              className: node.parentElement.className,
-              id: node.parentElement.id
-            } : null
-          });
+        console.error("[WL] Backup failed:", e);
+        return null;
+      }
+    }
 
-          // Apply emergency filtering to any remaining visible text
-          if (node.parentElement) {
-            log(`EMERGENCY FILTER: Applying to remaining visible text: "${node.textContent.trim().substring(0, 30)}..."`);
-            node.parentElement.classList.add('wl-filtered-child');
-            this.applyFilterStyle(node.parentElement);
-          }
-        }
+    create() {
+      return this.take('Manual', { force: true });
+    }
 
-        if (visibleElements.length > 0) {
-          log(`RECHECK: Message ${messageElement.id} still has ${visibleElements.length} visible text elements:`, visibleElements);
-        }
+    list() {
+      return this.enqueue(async () => (await this.readAll()).map(backup => this.summarize(backup)));
+    }
 
-      } catch (e) {
-        console.error("[WL] Error in recheckMessage:", e);
+    async restore(id) {
+      const backup = await this.enqueue(async () => (await this.readAll()).find(candidate => candidate.id === id));
+      if (!backup) {
+        throw new Error(`Backup ${id} does not exist`);
       }
-    }
 
-    applyFilterStyle(element) {
-      if (!element) return;
+      // The state being replaced is kept too, so a restore can itself be undone
+      this.take(`Before restoring ${new Date(backup.createdAt).toLocaleString()}`, { force: true });
+      this.storage.restoreSnapshot(backup);
+      this.backedUpRevision = this.storage.revision;
+      this.checkedRevision = this.storage.revision;
 
-      try {
-        if (this.storage.config.globalSettings.hardHide) {
-          element.style.display = 'none';
-        } else {
-          element.style.opacity = '0.2';
-          element.style.filter = 'blur(2px)';
-          element.style.pointerEvents = 'none';
-          element.style.userSelect = 'none';
-        }
-      } catch (e) {
-        console.error("[WL] Error applying filter style:", e);
-      }
+      log(`Restored backup from ${backup.createdAt} (${backup.reason})`);
+      eventBus.emit('backup:restored', this.summarize(backup));
+      return this.summarize(backup);
     }
 
-    removeFilterClasses(messageElement) {
-      Object.values(FILTER_CLASSES).forEach(className => {
-        messageElement.classList.remove(className);
+    delete(id) {
+      return this.enqueue(async () => {
+        const exists = (await this.readAll()).some(backup => backup.id === id);
+        if (exists) {
+          await this.remove([id]);
+          eventBus.emit('backup:deleted', { ids: [id] });
+        }
+        return exists;
       });
+    }
 
-      // Remove placeholder text
-      const placeholder = messageElement.querySelector(`.${FILTER_CLASSES.placeholder}`);
-      if (placeholder) {
-        placeholder.remove();
-      }
+    // Lowering maxBackups drops the oldest snapshots straight away
+    async setSettings(changes) {
+      const preferences = this.storage.setBackupSettings(changes);
+      await this.enqueue(() => this.prune());
+      return preferences;
+    }
 
-      // Reset inline styles on main element
-      messageElement.style.opacity = '';
+    summarize(backup) {
+      return {
+        id: backup.id,
+        createdAt: backup.createdAt,
+        reason: backup.reason,
+        schemaVersion: backup.schemaVersion || 0,
+        collections: (backup.collections || []).length,
+        entries: (backup.collections || []).reduce((total, collection) => total + (collection.entries?.length || 0), 0),
+      };
+    }
 
-      // Reset inline styles on child elements
-      try {
-        const allChildren = messageElement.querySelectorAll('*');
-        allChildren.forEach(element => {
-          element.style.opacity = '';
-          element.style.display = '';
-          element.style.filter = '';
-          element.style.pointerEvents = '';
-          element.style.userSelect = '';
-          element.classList.remove('wl-filtered-child');
-        });
-      } catch (e) {
-        console.error("[WL] Error removing filter styles from children:", e);
+    // Stores a snapshot taken elsewhere and resolves once it is written. A schema migration waits
+    // on this while storage is still opening, so it bypasses the queue (whose reads wait for
+    // ready) and goes straight to the store given; the next backup prunes.
+    async keep(reason, snapshot, store = null) {
+      const backup = { id: generateId(), createdAt: new Date().toISOString(), reason, scheduled: false, ...snapshot };
+      if (store) {
+        await store.putBackup(backup);
+      } else {
+        this.writeFallback([backup, ...this.readFallback()], backup);
       }
+      log(`Backup taken: ${reason}`);
+      eventBus.emit('backup:created', this.summarize(backup));
+      return this.summarize(backup);
     }
 
-    refreshAllMessages() {
-      try {
-        log('Starting refreshAllMessages...');
-
-        // Reset stats for fresh count
-        this.resetStats();
-        // Clear cache
-        this.messageCache.clear();
-        log('Cache cleared');
-
-        // Re-process all visible messages
-        const allMessages = document.querySelectorAll(MESSAGE_SELECTORS.messageContainer);
-        log(`Found ${allMessages.length} messages with selector "${MESSAGE_SELECTORS.messageContainer}"`);
+    // Backup reads and writes run one at a time so pruning never races a new snapshot
+    enqueue(work) {
+      const result = this.queue.then(work);
+      this.queue = result.catch(() => {});
+      return result;
+    }
 
-        // Debug: try alternative selectors
-        const altMessages = document.querySelectorAll('li.message');
-        log(`Found ${altMessages.length} messages with selector "li.message"`);
+    async readAll() {
+      await this.storage.ready;
+      const store = this.storage.collectionStore;
+      return store ?
+        (await store.readBackups()).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)) :
+        this.readFallback();
+    }
 
-        const anyLi = document.querySelectorAll('li');
-        log(`Found ${anyLi.length} total li elements`);
+    // Newest first
+    readFallback() {
+      const backups = Storage.get(BACKUPS_KEY, []);
+      return (Array.isArray(backups) ? backups : [])
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
 
-        const messagesToProcess = allMessages.length > 0 ? Array.from(allMessages) : Array.from(altMessages);
+    async write(backup) {
+      const store = this.storage.collectionStore;
+      if (store) {
+        await store.putBackup(backup);
+      } else {
+        this.writeFallback([backup, ...(await this.readAll())], backup);
+      }
+    }
 
-        if (messagesToProcess.length > 0) {
-          // ALWAYS clear all filter classes first to reset state
-          log(`Clearing all filter classes from ${messagesToProcess.length} messages before reprocessing`);
-          messagesToProcess.forEach(messageElement => {
-            this.removeFilterClasses(messageElement);
-          });
+    // Stores what selectKept leaves of the given backups, dropping more of the oldest (scheduled
+    // first) while the quota is short. Throws, writing nothing, when `added` itself does not fit.
+    writeFallback(backups, added) {
+      let kept = this.selectKept(backups, true);
+      if (!kept.includes(added)) {
+        throw new Error(`Backup "${added.reason}" is over the ${Storage.type} backup budget`);
+      }
 
-          // If filtering is disabled, we're done after clearing
-          if (!this.isEnabled()) {
-            log(`Filtering disabled - stopped after clearing filter classes`);
-          } else {
-            log(`Reprocessing ${messagesToProcess.length} messages after clearing filter classes`);
-            this.processMessages(messagesToProcess);
-            log('Finished reprocessing messages');
-          }
-        } else {
-          log('No messages found to refresh');
+      for (;;) {
+        try {
+          Storage.set(BACKUPS_KEY, kept);
+          break;
+        } catch (e) {
+          const others = kept.filter(backup => backup !== added);
+          if (others.length === 0) throw e;
+          const oldest = others.filter(backup => this.isScheduled(backup)).pop() || others.pop();
+          log(`Backups did not fit in ${Storage.type}, dropping "${oldest.reason}" from ${oldest.createdAt}`);
+          kept = kept.filter(backup => backup !== oldest);
         }
-      } catch (e) {
-        console.error("[WL] Error refreshing messages:", e);
+      }
+
+      const dropped = backups.filter(backup => !kept.includes(backup)).map(backup => backup.id);
+      if (dropped.length > 0) {
+        eventBus.emit('backup:deleted', { ids: dropped });
       }
     }
 
-    clearAllFiltering() {
-      try {
-        const allMessages = document.querySelectorAll(MESSAGE_SELECTORS.messageContainer);
-        allMessages.forEach(message => {
-          this.removeFilterClasses(message);
-          // Also remove toggle switches when clearing all filtering
-          const toggle = message.querySelector('.wl-message-toggle');
-          if (toggle) {
-            toggle.remove();
-          }
-        });
-        // Clear toggle states when filtering is disabled
-        MessageToggleSwitch.clearAllToggles();
-        log("Cleared all message filtering and toggle switches");
-      } catch (e) {
-        console.error("[WL] Error clearing filtering:", e);
+    async remove(ids) {
+      const store = this.storage.collectionStore;
+      if (store) {
+        await store.deleteBackups(ids);
+      } else {
+        Storage.set(BACKUPS_KEY, (await this.readAll()).filter(backup => !ids.includes(backup.id)));
       }
     }
 
-    isEnabled() {
-      return this.storage.config.globalSettings.enabled;
+    // Scheduled snapshots and the rest (manual, before destructive changes) each keep maxBackups,
+    // newest first. In the Storage fallback at most FALLBACK_MAX_BACKUPS each, and within
+    // FALLBACK_BACKUP_BUDGET, giving up scheduled ones first.
+    selectKept(backups, fallback = !this.storage.collectionStore) {
+      const { maxBackups } = this.storage.getStoragePreferences();
+      const limit = fallback ? Math.min(maxBackups, FALLBACK_MAX_BACKUPS) : maxBackups;
+      const scheduled = backups.filter(backup => this.isScheduled(backup)).slice(0, limit);
+      const others = backups.filter(backup => !this.isScheduled(backup)).slice(0, limit);
+
+      if (fallback) {
+        let size = [...scheduled, ...others].reduce((total, backup) => total + JSON.stringify(backup).length, 0);
+        while (size > FALLBACK_BACKUP_BUDGET && (scheduled.length > 0 || others.length > 0)) {
+          size -= JSON.stringify((scheduled.length > 0 ? scheduled : others).pop()).length;
+        }
+      }
+
+      return backups.filter(backup => scheduled.includes(backup) || others.includes(backup));
     }
 
-    getStats() {
-      return { ...this.stats };
+    // Backups from before the split only tell by their reason
+    isScheduled(backup) {
+      return backup.scheduled ?? backup.reason === 'Scheduled';
     }
 
-    resetStats() {
-      this.stats = {
-        processed: 0,
-        filtered: 0,
-        whitelisted: 0
-      };
+    async prune() {
+      const backups = await this.readAll();
+      const kept = this.selectKept(backups);
+      const excess = backups.filter(backup => !kept.includes(backup));
+      if (excess.length > 0) {
+        const ids = excess.map(backup => backup.id);
+        await this.remove(ids);
+        eventBus.emit('backup:deleted', { ids });
+      }
     }
   }
 
-  // --- Message Toggle Switch for individual message visibility control ---
-  class MessageToggleSwitch {
-    constructor(messageElement, messageId) {
-      this.messageElement = messageElement;
-      this.messageId = messageId;
-      this.isVisible = false; // Default OFF (message follows whitelist filter)
-      this.switchElement = null;
-      this.toggleStates = new Map(); // Static map to persist toggle states during session
-    }
+  // --- Whitelist Manager ---
+  // Lookup structures for one collection: O(1) name and ID maps plus compiled patterns
+  class CollectionIndex {
+    constructor(collection) {
+      this.collection = collection;
+      this.userLookup = new Map(); // Fast O(1) lookup cache
+      this.idLookup = new Map(); // Discord user ID -> entry
+      this.patternMatchers = []; // Compiled glob/regex entries, checked after the O(1) paths
+      collection.getEntries().forEach(entry => this.add(entry));
+    }
+
+    add(entry) {
+      if (entry.type !== 'literal') {
+        try {
+          const caseSensitive = this.collection.isCaseSensitive();
+          this.patternMatchers.push({ entry, regex: compileEntryPattern(entry.username, { caseSensitive }) });
+        } catch (e) {
+          log(`Skipping invalid pattern entry "${entry.username}":`, e.message);
+        }
+        return;
+      }
 
-    static toggleStates = new Map(); // Session-based storage for toggle states
+      this.userLookup.set(this.collection.nameKey(entry.username), entry);
+      if (entry.userId) {
+        this.idLookup.set(entry.userId, entry);
+      }
+    }
 
-    create() {
-      // Check if switch already exists
-      if (this.messageElement.querySelector('.wl-message-toggle')) {
+    remove(entry) {
+      if (entry.type !== 'literal') {
+        this.patternMatchers = this.patternMatchers.filter(matcher => matcher.entry !== entry);
         return;
       }
 
-      // Create toggle switch element
-      const toggleSwitch = document.createElement('div');
-      toggleSwitch.className = 'wl-message-toggle';
-      toggleSwitch.setAttribute('role', 'switch');
-      toggleSwitch.setAttribute('aria-checked', 'false');
-      toggleSwitch.setAttribute('aria-label', 'Show this message');
-      toggleSwitch.title = 'Toggle message visibility';
+      this.userLookup.delete(this.collection.nameKey(entry.username));
+      if (entry.userId) {
+        this.idLookup.delete(entry.userId);
+      }
+    }
 
-      // Check if we have a saved state for this message
-      if (MessageToggleSwitch.toggleStates.has(this.messageId)) {
-        this.isVisible = MessageToggleSwitch.toggleStates.get(this.messageId);
-        if (this.isVisible) {
-          toggleSwitch.classList.add('active');
-          toggleSwitch.setAttribute('aria-checked', 'true');
-        }
+    // Expired entries stop matching immediately, even before the scheduler removes them
+    find(username, userId = null) {
+      const now = Date.now();
+      const byId = userId ? this.idLookup.get(userId) : null;
+      if (byId && !byId.isExpired(now)) {
+        return byId;
       }
+      if (!username) return null;
 
-      // Add click event handler
-      toggleSwitch.addEventListener('click', (e) => {
-        e.stopPropagation();
-        e.preventDefault();
-        this.toggle();
-      });
+      const normalizedName = normalizeUsername(username);
+      const entry = this.userLookup.get(this.collection.nameKey(normalizedName));
 
-      // Add keyboard support
-      toggleSwitch.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          e.stopPropagation();
-          this.toggle();
+      // Same display name but a different account than the one that was whitelisted
+      const isOtherAccount = entry && userId && entry.userId && entry.userId !== userId;
+      if (entry && !isOtherAccount && !entry.isExpired(now)) {
+        return entry;
+      }
+
+      const matcher = this.patternMatchers.find(({ entry, regex }) => !entry.isExpired(now) && regex.test(normalizedName));
+      return matcher ? matcher.entry : null;
+    }
+
+    owns(entry) {
+      return this.collection.getEntry(entry.username) === entry;
+    }
+  }
+
+  // Ordered filter rules of one collection, compiled once. First matching rule wins.
+  class RuleEngine {
+    constructor(rules = [], defaultAction = RULE_ACTIONS.list) {
+      this.defaultAction = defaultAction;
+      this.rules = [];
+
+      rules.forEach((rule, index) => {
+        try {
+          const tests = rule.conditions.map(compileRuleCondition);
+          this.rules.push({ rule, index, text: formatRule(rule), tests });
+        } catch (e) {
+          log(`Skipping invalid rule "${formatRule(rule)}":`, e.message);
         }
       });
+    }
 
-      // Make it focusable
-      toggleSwitch.tabIndex = 0;
+    // Returns { action, rule, ruleIndex } where rule is the fired rule's text, or null for the default
+    evaluate(facts) {
+      const match = this.rules.find(({ tests }) => tests.every(test => test(facts)));
+      return match
+        ? { action: match.rule.action, rule: match.text, ruleIndex: match.index }
+        : { action: this.defaultAction, rule: null, ruleIndex: -1 };
+    }
+  }
 
-      // Store reference
-      this.switchElement = toggleSwitch;
+  // --- Whitelist Manager ---
+  class WhitelistManager {
+    constructor(storageManager) {
+      this.storage = storageManager;
+      this.indexes = []; // Active collection first, then any combined collections
+      this.rebuildLookupCache();
+    }
 
-      // Add to message element
-      this.messageElement.style.position = 'relative';
-      this.messageElement.appendChild(toggleSwitch);
+    // Lookup maps of the active (editable) collection
+    get primaryIndex() {
+      return this.indexes[0] || null;
     }
 
-    toggle() {
-      this.isVisible = !this.isVisible;
-      MessageToggleSwitch.toggleStates.set(this.messageId, this.isVisible);
-      this.updateDisplay();
+    get userLookup() {
+      return this.primaryIndex ? this.primaryIndex.userLookup : new Map();
     }
 
-    updateDisplay() {
-      if (!this.switchElement) return;
+    get idLookup() {
+      return this.primaryIndex ? this.primaryIndex.idLookup : new Map();
+    }
 
-      if (this.isVisible) {
-        // Toggle ON - show message regardless of filter
-        this.switchElement.classList.add('active');
-        this.switchElement.setAttribute('aria-checked', 'true');
-        this.showMessage();
-      } else {
-        // Toggle OFF - let filter decide visibility
-        this.switchElement.classList.remove('active');
-        this.switchElement.setAttribute('aria-checked', 'false');
-        // Trigger re-filtering for this message
-        if (window.filterEngine) {
-          window.filterEngine.filterMessage(this.messageElement);
-        }
-      }
+    rebuildLookupCache() {
+      this.indexes = this.storage.getActiveCollections().map(collection => new CollectionIndex(collection));
+      this.rebuildRuleEngine();
     }
 
-    showMessage() {
-      // Remove all filter classes to show the message
-      Object.values(FILTER_CLASSES).forEach(className => {
-        this.messageElement.classList.remove(className);
-      });
+    // Filter rules come from the active collection only
+    rebuildRuleEngine() {
+      const activeCollection = this.storage.getActiveCollection();
+      this.ruleEngine = activeCollection
+        ? new RuleEngine(activeCollection.getRules(), activeCollection.getDefaultAction())
+        : new RuleEngine();
+    }
 
-      // Add special class to indicate manual override
-      this.messageElement.classList.add('wl-toggle-override');
+    getRules() {
+      const activeCollection = this.storage.getActiveCollection();
+      return {
+        rules: activeCollection ? activeCollection.getRules() : [],
+        defaultAction: activeCollection ? activeCollection.getDefaultAction() : RULE_ACTIONS.list,
+      };
+    }
 
-      // Reset opacity and styles
-      this.messageElement.style.opacity = '';
+    setRules(rules, defaultAction) {
+      const activeCollection = this.storage.getActiveCollection();
+      if (!activeCollection) return [];
 
-      // Remove placeholder if exists
-      const placeholder = this.messageElement.querySelector(`.${FILTER_CLASSES.placeholder}`);
-      if (placeholder) {
-        placeholder.remove();
-      }
+      const saved = activeCollection.setRules(rules, defaultAction);
+      this.storage.saveCollections();
+      this.rebuildRuleEngine();
+
+      eventBus.emit('collection:rules_changed', {
+        collection: activeCollection.id,
+        rules: saved,
+        defaultAction: activeCollection.getDefaultAction(),
+      });
+      log(`Filter rules of "${activeCollection.name}" updated (${saved.length}, default: ${activeCollection.getDefaultAction()})`);
+      return saved;
+    }
 
-      // Reset child elements
-      const allChildren = this.messageElement.querySelectorAll('*');
-      allChildren.forEach(element => {
-        if (!element.classList.contains('wl-message-toggle')) {
-          element.style.opacity = '';
-          element.style.display = '';
-          element.style.filter = '';
+    // Rule text (as edited in the panel) in, saved rules out; "default -> action" sets the default
+    setRulesFromText(lines) {
+      let defaultAction = RULE_ACTIONS.list;
+      const rules = [];
+
+      lines.forEach(line => {
+        const parsed = parseRule(line);
+        if (parsed.default) {
+          defaultAction = parsed.action;
+        } else {
+          rules.push(parsed);
         }
       });
+
+      return this.setRules(rules, defaultAction);
     }
 
-    remove() {
-      if (this.switchElement) {
-        this.switchElement.remove();
-        this.switchElement = null;
+    getRulesAsText() {
+      const { rules, defaultAction } = this.getRules();
+      const lines = rules.map(formatRule);
+      if (defaultAction !== RULE_ACTIONS.list) {
+        lines.push(formatRule({ default: true, action: defaultAction }));
       }
-      MessageToggleSwitch.toggleStates.delete(this.messageId);
+      return lines;
     }
 
-    static getToggleState(messageId) {
-      return MessageToggleSwitch.toggleStates.get(messageId) || false;
+    evaluateRules(facts) {
+      return this.ruleEngine.evaluate(facts);
     }
 
-    static clearAllToggles() {
-      MessageToggleSwitch.toggleStates.clear();
-      // Remove all toggle switches from DOM
-      document.querySelectorAll('.wl-message-toggle').forEach(toggle => {
-        toggle.remove();
+    // `internal.notifyLimit` lets batch callers report a reached limit once instead of per entry.
+    // `internal.withStep` resolves to { added, step } so the caller can undo exactly this edit;
+    // step is null when nothing was recorded (another edit held the history open).
+    async addUser(username, options = {}, internal = {}) {
+      const { notifyLimit = true, withStep = false } = internal;
+      // Edits made before IndexedDB has loaded would land on the startup placeholder collections
+      await this.storage.ready;
+      const activeCollection = this.storage.getActiveCollection();
+
+      try {
+        const validation = validateEntryText(username);
+        if (!validation.valid) {
+          throw new Error(validation.error);
+        }
+
+        // Same account already listed under another (older) display name
+        if (options.userId && this.primaryIndex?.idLookup.has(options.userId)) {
+          log(`Already in whitelist by ID: "${username}" (${options.userId})`);
+          return withStep ? { added: false, step: null } : false;
+        }
+
+        if (!activeCollection.hasEntry(username)) {
+          this.storage.assertCapacity(activeCollection);
+        }
+
+        const added = activeCollection.addEntry(username, options);
+
+        if (added) {
+          const entry = activeCollection.getEntry(username);
+          this.primaryIndex?.add(entry);
+          this.storage.saveCollections();
+          const step = this.storage.history.recordEntries(`Add ${entry.username}`, activeCollection.id, [], [entry]);
+
+          eventBus.emit('whitelist:user_added', {
+            username: entry.username,
+            collection: activeCollection.id,
+            entry: entry.toJSON()
+          });
+
+          log(`Added to whitelist: "${entry.username}"`);
+          return withStep ? { added: true, step } : true;
+        } else {
+          log(`Already in whitelist: "${username}"`);
+          return withStep ? { added: false, step: null } : false;
+        }
+      } catch (e) {
+        if (e instanceof EntryLimitError) {
+          if (notifyLimit) {
+            this.storage.reportLimitReached(activeCollection, [username]);
+          }
+        } else {
+          console.error("[WL] Add user failed:", e);
+        }
+        throw e;
+      }
+    }
+
+    getCapacity() {
+      const activeCollection = this.storage.getActiveCollection();
+      return {
+        size: activeCollection ? activeCollection.getSize() : 0,
+        limit: this.storage.getMaxEntries(activeCollection),
+      };
+    }
+
+    isCaseSensitive() {
+      return this.storage.getActiveCollection()?.isCaseSensitive() || false;
+    }
+
+    setAccentColor(color) {
+      const activeCollection = this.storage.getActiveCollection();
+      if (!activeCollection) return false;
+
+      activeCollection.setAccentColor(color);
+      this.storage.saveCollections();
+      eventBus.emit('collection:accent_changed', { collection: activeCollection.id, color: activeCollection.getAccentColor() });
+      return true;
+    }
+
+    setCaseSensitive(caseSensitive) {
+      const activeCollection = this.storage.getActiveCollection();
+      if (!activeCollection) return { changed: false, merged: [] };
+
+      // Going case-insensitive drops all but one entry of each colliding group
+      if (!caseSensitive && activeCollection.getCaseCollisions().length > 0) {
+        this.storage.backup(`Before merging case variants in "${activeCollection.name}"`);
+      }
+
+      const result = activeCollection.setCaseSensitive(caseSensitive);
+      if (result.changed) {
+        this.storage.saveCollections();
+        this.rebuildLookupCache();
+
+        eventBus.emit('collection:case_changed', {
+          collection: activeCollection.id,
+          caseSensitive: activeCollection.isCaseSensitive(),
+          merged: result.merged,
+        });
+        log(`Case-sensitive matching ${activeCollection.isCaseSensitive() ? 'enabled' : 'disabled'} for "${activeCollection.name}"`, result.merged);
+      }
+      return result;
+    }
+
+    // `internal.withStep` works as for addUser
+    async removeUser(username, userId = null, internal = {}) {
+      const { withStep = false } = internal;
+      await this.storage.ready;
+      try {
+        const activeCollection = this.storage.getActiveCollection();
+
+        // Resolve by ID first so a renamed author still removes the original entry
+        const entry = userId ? this.primaryIndex?.find(username, userId) : null;
+        const normalizedName = entry ? entry.username : normalizeUsername(username);
+        const existing = activeCollection.getEntry(normalizedName);
+
+        const removed = activeCollection.removeEntry(normalizedName);
+
+        if (removed) {
+          let step = null;
+          if (existing) {
+            this.primaryIndex?.remove(existing);
+            step = this.storage.history.recordEntries(`Remove ${existing.username}`, activeCollection.id, [existing], []);
+          }
+          this.storage.saveCollections();
+
+          eventBus.emit('whitelist:user_removed', {
+            username: normalizedName,
+            userId: existing?.userId || null,
+            collection: activeCollection.id
+          });
+
+          log(`Removed from whitelist: "${normalizedName}"`);
+          return withStep ? { removed: true, step } : true;
+        }
+
+        return withStep ? { removed: false, step: null } : false;
+      } catch (e) {
+        console.error("[WL] Remove user failed:", e);
+        throw e;
+      }
+    }
+
+    // Drops expired entries from every collection; returns what was removed
+    removeExpiredEntries(now = Date.now()) {
+      const removed = [];
+
+      try {
+        this.storage.getAllCollections().forEach(collection => {
+          collection.getEntries()
+            .filter(entry => entry.isExpired(now))
+            .forEach(entry => {
+              if (collection.removeEntry(entry.username)) {
+                removed.push({ collection, entry });
+              }
+            });
+        });
+
+        if (removed.length === 0) return removed;
+
+        this.storage.saveCollections();
+        this.rebuildLookupCache();
+
+        removed.forEach(({ collection, entry }) => {
+          eventBus.emit('whitelist:user_removed', {
+            username: entry.username,
+            userId: entry.userId,
+            collection: collection.id,
+            reason: 'expired',
+          });
+          log(`Expired from whitelist: "${entry.username}" (${collection.name})`);
+        });
+      } catch (e) {
+        console.error("[WL] Removing expired entries failed:", e);
+      }
+
+      return removed;
+    }
+
+    // Soonest expiry across all collections, as a timestamp, or null when nothing is temporary
+    getNextExpiry() {
+      let next = null;
+      this.storage.getAllCollections().forEach(collection => {
+        collection.getEntries().forEach(entry => {
+          if (entry.expiresAt && (next === null || entry.expiresAt.getTime() < next)) {
+            next = entry.expiresAt.getTime();
+          }
+        });
+      });
+      return next;
+    }
+
+    findEntry(username, userId = null) {
+      const [primary, ...others] = this.indexes;
+      if (!primary) return null;
+
+      const mode = this.storage.getCombination().mode;
+      if (mode === COMBINATION_MODES.single || others.length === 0) {
+        return primary.find(username, userId);
+      }
+
+      const matches = this.indexes.map(index => index.find(username, userId));
+      switch (mode) {
+        case COMBINATION_MODES.union:
+          return matches.find(Boolean) || null;
+        case COMBINATION_MODES.intersection:
+          return matches.every(Boolean) ? matches[0] : null;
+        case COMBINATION_MODES.exclusion:
+          // "A minus B": listed in the active collection and in none of the others
+          return matches[0] && !matches.slice(1).some(Boolean) ? matches[0] : null;
+        default:
+          return matches[0];
+      }
+    }
+
+    // Collection an entry returned by findEntry() belongs to
+    getEntryCollection(entry) {
+      const index = entry ? this.indexes.find(candidate => candidate.owns(entry)) : null;
+      return index ? index.collection : null;
+    }
+
+    isWhitelisted(username, userId = null) {
+      const entry = this.findEntry(username, userId);
+      if (entry && entry.type === 'literal' && userId && !entry.userId) {
+        // First time we see a name-only entry with its author ID: bind it
+        this.upgradeEntry(entry, userId);
+      }
+      return entry !== null;
+    }
+
+    getListMode() {
+      const activeCollection = this.storage.getActiveCollection();
+      return activeCollection ? activeCollection.getListMode() : LIST_MODES.whitelist;
+    }
+
+    setListMode(mode) {
+      const activeCollection = this.storage.getActiveCollection();
+      if (!activeCollection) return false;
+      if (activeCollection.getListMode() === mode) return false;
+
+      activeCollection.setListMode(mode);
+      this.storage.saveCollections();
+
+      eventBus.emit('collection:mode_changed', { collection: activeCollection.id, mode });
+      log(`List mode of "${activeCollection.name}" set to ${mode}`);
+      return true;
+    }
+
+    // Whether the author's messages pass the filter under the active list mode
+    isAllowed(username, userId = null) {
+      const isListed = this.isWhitelisted(username, userId);
+      return this.getListMode() === LIST_MODES.blacklist ? !isListed : isListed;
+    }
+
+    upgradeEntry(entry, userId) {
+      const index = this.indexes.find(candidate => candidate.owns(entry));
+      if (!index || !isValidUserId(userId) || entry.userId || index.idLookup.has(userId)) {
+        return false;
+      }
+
+      entry.userId = userId;
+      entry.lastSeen = new Date();
+      // Other tabs only take a copy of the collection that is newer than theirs
+      index.collection.metadata.modified = entry.lastSeen;
+      index.idLookup.set(userId, entry);
+      this.storage.saveCollections();
+
+      eventBus.emit('whitelist:user_upgraded', {
+        username: entry.username,
+        userId,
+        collection: index.collection.id
+      });
+
+      log(`Bound whitelist entry "${entry.username}" to user ID ${userId}`);
+      return true;
+    }
+
+    getWhitelist() {
+      const activeCollection = this.storage.getActiveCollection();
+      return activeCollection ? activeCollection.getEntries().map(e => e.toJSON()) : [];
+    }
+
+    async bulkUpdate(operations) {
+      const results = [];
+      const errors = [];
+      const limitRejected = [];
+
+      const edit = this.storage.history.begin(`Bulk update (${operations.length})`, [this.storage.config.activeCollection]);
+      try {
+        // Every operation's change is stored in one transaction once the loop is done
+        await this.storage.batch(async () => {
+          for (const op of operations) {
+            try {
+              let result = false;
+              if (op.action === 'add') {
+                result = await this.addUser(op.username, op.options, { notifyLimit: false });
+              } else if (op.action === 'remove') {
+                result = await this.removeUser(op.username);
+              }
+              results.push({ ...op, success: result });
+            } catch (e) {
+              if (e instanceof EntryLimitError) {
+                limitRejected.push(op.username);
+              }
+              errors.push({ ...op, error: e.message, code: e.code });
+            }
+          }
+        });
+
+        if (limitRejected.length > 0) {
+          this.storage.reportLimitReached(this.storage.getActiveCollection(), limitRejected);
+        }
+
+        eventBus.emit('whitelist:bulk_update', { results, errors });
+        return { results, errors };
+      } catch (e) {
+        console.error("[WL] Bulk update failed:", e);
+        throw e;
+      } finally {
+        this.storage.history.end(edit);
+      }
+    }
+
+    clearWhitelist() {
+      const activeCollection = this.storage.getActiveCollection();
+      if (activeCollection) {
+        if (activeCollection.getSize() > 0) {
+          this.storage.backup(`Before clearing "${activeCollection.name}"`);
+        }
+        const edit = this.storage.history.begin(`Clear "${activeCollection.name}"`, [activeCollection.id]);
+        activeCollection.clear();
+        this.storage.history.end(edit);
+        this.rebuildLookupCache();
+        this.storage.saveCollections();
+
+        eventBus.emit('whitelist:cleared', { collection: activeCollection.id });
+        log("Whitelist cleared");
+      }
+    }
+
+    getStats() {
+      const activeCollection = this.storage.getActiveCollection();
+      if (!activeCollection) return { total: 0, recent: 0, mode: LIST_MODES.whitelist };
+
+      const entries = activeCollection.getEntries();
+      const now = new Date();
+      const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+      return {
+        mode: activeCollection.getListMode(),
+        total: entries.length,
+        recent: entries.filter(e => e.dateAdded > dayAgo).length,
+        withUserId: entries.filter(e => e.userId).length,
+        temporary: entries.filter(e => e.expiresAt).length,
+        sources: entries.reduce((acc, e) => {
+          acc[e.source] = (acc[e.source] || 0) + 1;
+          return acc;
+        }, {}),
+      };
+    }
+  }
+
+  // --- Search Manager ---
+  class SearchManager {
+    constructor(whitelistManager) {
+      this.whitelist = whitelistManager;
+    }
+
+    searchUsers(query, options = {}) {
+      const entries = this.whitelist.getWhitelist();
+      const normalizedQuery = query.toLowerCase();
+
+      const matches = entries.filter(entry => {
+        if (options.exactMatch) {
+          return entry.username.toLowerCase() === normalizedQuery;
+        }
+
+        return entry.username.toLowerCase().includes(normalizedQuery) ||
+               entry.userId === query.trim() ||
+               (entry.notes && entry.notes.toLowerCase().includes(normalizedQuery));
+      });
+
+      // Sort by relevance (exact matches first, then by username length)
+      matches.sort((a, b) => {
+        const aExact = a.username.toLowerCase() === normalizedQuery;
+        const bExact = b.username.toLowerCase() === normalizedQuery;
+
+        if (aExact && !bExact) return -1;
+        if (bExact && !aExact) return 1;
+
+        return a.username.length - b.username.length;
+      });
+
+      return matches.slice(0, options.limit || 50);
+    }
+  }
+
+  // --- Data Manager (Import/Export) ---
+  class DataManager {
+    constructor(storageManager) {
+      this.storage = storageManager;
+    }
+
+    exportWhitelist(format = 'json') {
+      const activeCollection = this.storage.getActiveCollection();
+      if (!activeCollection) {
+        throw new Error('No active collection to export');
+      }
+
+      const entries = activeCollection.getEntries();
+
+      switch (format.toLowerCase()) {
+        case 'json':
+          return JSON.stringify({
+            version: VERSION,
+            collection: activeCollection.toJSON(),
+            exportDate: new Date(),
+          }, null, 2);
+
+        case 'csv':
+          const headers = 'username,dateAdded,source,notes,userId,expiresAt\n';
+          const rows = entries.map(e =>
+            `"${e.username}","${e.dateAdded.toISOString()}","${e.source}","${e.notes}","${e.userId || ''}","${e.expiresAt ? e.expiresAt.toISOString() : ''}"`
+          ).join('\n');
+          return headers + rows;
+
+        case 'txt':
+          return entries.map(e => e.username).join('\n');
+
+        default:
+          throw new Error(`Unsupported export format: ${format}`);
+      }
+    }
+
+    async importWhitelist(data, format = 'json') {
+      const results = { imported: 0, skipped: 0, errors: [], rules: 0 };
+      let edit = null;
+
+      try {
+        await this.storage.ready;
+        let entries = [];
+        let importedSettings = null;
+
+        switch (format.toLowerCase()) {
+          case 'json':
+            const parsed = JSON.parse(data);
+            if (parsed.collection && parsed.collection.entries) {
+              entries = parsed.collection.entries.map(e => ({
+                username: e.username,
+                options: { source: 'import', notes: e.notes, userId: e.userId, expiresAt: e.expiresAt || null }
+              }));
+            }
+            importedSettings = parsed.collection?.settings || null;
+            break;
+
+          case 'csv':
+            const lines = data.split('\n').slice(1); // Skip header
+            entries = lines.filter(line => line.trim()).map(line => {
+              const [username, , , notes, userId, expiresAt] = line.split(',').map(s => s.replace(/"/g, ''));
+              return { username, options: { source: 'import', notes: notes || '', userId: userId || null, expiresAt: expiresAt || null } };
+            });
+            break;
+
+          case 'txt':
+            entries = data.split('\n')
+              .map(line => line.trim())
+              .filter(line => line)
+              .map(username => ({ username, options: { source: 'import' } }));
+            break;
+
+          default:
+            throw new Error(`Unsupported import format: ${format}`);
+        }
+
+        // Import entries
+        const activeCollection = this.storage.getActiveCollection();
+        const limitRejected = [];
+        // Imported rules replace the collection's own
+        this.storage.backup(`Before import into "${activeCollection.name}"`);
+        edit = this.storage.history.begin(`Import into "${activeCollection.name}"`, [activeCollection.id]);
+        for (const { username, options } of entries) {
+          try {
+            if (!activeCollection.hasEntry(username)) {
+              this.storage.assertCapacity(activeCollection);
+            }
+            if (activeCollection.addEntry(username, options)) {
+              results.imported++;
+            } else {
+              results.skipped++;
+            }
+          } catch (e) {
+            if (e instanceof EntryLimitError) {
+              limitRejected.push(username);
+            }
+            results.errors.push({ username, error: e.message, code: e.code });
+          }
+        }
+
+        // Filter rules travel with JSON exports; older exports may still carry content rules
+        if (importedSettings && (Array.isArray(importedSettings.rules) || Array.isArray(importedSettings.contentRules))) {
+          try {
+            const source = new WhitelistCollection('import', { settings: { ...importedSettings } });
+            source.migrateContentRules();
+            results.rules = activeCollection.setRules(source.getRules(), source.getDefaultAction()).length;
+          } catch (e) {
+            results.errors.push({ username: null, error: `Rules not imported: ${e.message}`, code: 'INVALID_RULES' });
+          }
+        }
+
+        // Entries and rules are saved together: one IndexedDB transaction for the whole import
+        this.storage.saveCollections();
+
+        if (limitRejected.length > 0) {
+          this.storage.reportLimitReached(activeCollection, limitRejected);
+        }
+
+        eventBus.emit('whitelist:imported', results);
+
+        return results;
+      } catch (e) {
+        console.error("[WL] Import failed:", e);
+        throw e;
+      } finally {
+        this.storage.history.end(edit);
+      }
+    }
+  }
+
+  // --- Message Filtering Engine ---
+
+  // Selector pack format this script reads; packs declaring another format are refused
+  const SELECTOR_PACK_FORMAT = 1;
+
+  // Everything the script knows about Discord's DOM. Each key lists selectors in order of
+  // preference. A loaded pack's selectors go first and these stay behind them as fallbacks,
+  // so a pack only needs the keys Discord broke:
+  //   { "format": 1, "name": "...", "version": "...", "selectors": { "authorElement": ["..."] } }
+  const BUILTIN_SELECTOR_PACK = {
+    format: SELECTOR_PACK_FORMAT,
+    name: 'Built-in',
+    version: '1',
+    selectors: {
+      messageContainer: ['li[id^="chat-messages-"]', 'li.message'],
+      messageList: ['[data-list-id^="chat-messages"]'],
+      messageHeader: ['[class*="headerText"]', '[class*="header_"]', '[class*="messageHeader"]', 'h3'],
+      authorElement: ['[class*="username"]'],
+      messageContent: ['[id^="message-content-"]'],
+      replyAuthor: ['[class*="repliedTextPreview"] [class*="username"]'],
+      replyPreview: ['[class*="repliedText"]', '[class*="repliedTextPreview"]', '[class*="replyBar"]', '[class*="repliedMessage"]'],
+      // Wider net for the context menu, which must never pick a replied-to or mentioned name
+      replyOrMention: ['[class*="repliedMessage"]', '[class*="replyPreview"]', '[class*="mention"]', '[class*="reply"]'],
+      authorAvatar: ['img[class*="avatar"]'],
+      authorData: ['[data-author-id]'],
+      replyAvatar: ['[class*="repliedMessage"] img'],
+      mention: ['[id^="message-content-"] [class*="mention"]'],
+      mentionHighlight: ['[class*="mentioned"]'],
+      attachment: ['[class*="attachment"]', '[class*="imageWrapper"]', '[class*="mosaicItem"]'],
+      embed: ['article[class*="embed"]', '[class*="embedWrapper"]'],
+      link: ['[id^="message-content-"] a[href]'],
+      botTag: ['[class*="botTag"]'],
+      roleIcon: ['img[class*="roleIcon"]'],
+      channelName: ['section[class*="title"] h1', '[class*="titleWrapper"] h1'],
+      systemMessage: ['[class*="systemMessage"]'],
+      // Logged-in account panel at the bottom of the channel sidebar
+      accountPanel: ['section[class*="panels"]'],
+      accountAvatar: ['[class*="avatarWrapper"] img', 'img[class*="avatar"]'],
+      accountName: ['[class*="panelTitleContainer"]', '[class*="nameTag"] [class*="title"]'],
+    },
+  };
+
+  // Discord DOM selectors for message detection: each key's list joined into one selector,
+  // rewritten in place whenever a selector pack is applied
+  const MESSAGE_SELECTORS = {};
+
+  // Checks a pack's shape and that every selector parses; returns it with list-valued keys
+  function validateSelectorPack(pack) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      throw new Error('Selector pack must be a JSON object');
+    }
+    if (pack.format !== SELECTOR_PACK_FORMAT) {
+      throw new Error(`Unsupported selector pack format: ${pack.format} (expected ${SELECTOR_PACK_FORMAT})`);
+    }
+    if (!pack.selectors || typeof pack.selectors !== 'object' || Array.isArray(pack.selectors)) {
+      throw new Error('Selector pack has no "selectors" object');
+    }
+
+    const probe = document.createDocumentFragment();
+    const selectors = {};
+    Object.entries(pack.selectors).forEach(([key, value]) => {
+      if (!Object.prototype.hasOwnProperty.call(BUILTIN_SELECTOR_PACK.selectors, key)) {
+        log(`Selector pack: ignoring unknown key "${key}"`);
+        return;
+      }
+
+      const list = Array.isArray(value) ? value : [value];
+      if (list.length === 0 || list.some(selector => typeof selector !== 'string' || !selector.trim())) {
+        throw new Error(`Selector "${key}" must be a non-empty string or list of strings`);
+      }
+      list.forEach(selector => {
+        try {
+          probe.querySelector(selector);
+        } catch (e) {
+          throw new Error(`Selector "${key}" is not valid CSS: ${selector}`);
+        }
+      });
+      selectors[key] = list.map(selector => selector.trim());
+    });
+
+    return {
+      format: pack.format,
+      name: String(pack.name || 'Unnamed pack'),
+      version: String(pack.version ?? '?'),
+      selectors,
+    };
+  }
+
+  function applySelectorPack(pack) {
+    Object.entries(BUILTIN_SELECTOR_PACK.selectors).forEach(([key, fallbacks]) => {
+      const preferred = pack.selectors[key] || [];
+      MESSAGE_SELECTORS[key] = Array.from(new Set([...preferred, ...fallbacks])).join(', ');
+    });
+  }
+
+  applySelectorPack(BUILTIN_SELECTOR_PACK);
+
+  // Holds the selector pack in use: the built-in one, or one the user loaded from a file or URL.
+  // Loaded packs are kept in config so they survive script updates until reset.
+  class SelectorPackManager {
+    constructor(storageManager) {
+      this.storage = storageManager;
+      this.active = { name: BUILTIN_SELECTOR_PACK.name, version: BUILTIN_SELECTOR_PACK.version, source: 'builtin', loadedAt: null };
+    }
+
+    load() {
+      const stored = this.storage.config.selectorPack;
+      if (!stored) return;
+
+      try {
+        const pack = validateSelectorPack(stored);
+        applySelectorPack(pack);
+        this.active = { name: pack.name, version: pack.version, source: stored.source || 'stored', loadedAt: stored.loadedAt || null };
+        log(`Selector pack "${pack.name}" v${pack.version} loaded`);
+      } catch (e) {
+        console.error("[WL] Stored selector pack is invalid, using the built-in selectors:", e);
+        applySelectorPack(BUILTIN_SELECTOR_PACK);
+      }
+    }
+
+    getInfo() {
+      return { ...this.active, format: SELECTOR_PACK_FORMAT };
+    }
+
+    install(pack, source) {
+      const validated = validateSelectorPack(pack);
+      const loadedAt = new Date().toISOString();
+
+      applySelectorPack(validated);
+      this.active = { name: validated.name, version: validated.version, source, loadedAt };
+      this.storage.config.selectorPack = { ...validated, source, loadedAt };
+      this.storage.saveConfig();
+
+      log(`Selector pack "${validated.name}" v${validated.version} installed from ${source}`);
+      eventBus.emit('selectors:pack_changed', this.getInfo());
+      return this.getInfo();
+    }
+
+    loadFromText(text, source = 'file') {
+      let pack;
+      try {
+        pack = JSON.parse(text);
+      } catch (e) {
+        throw new Error(`Selector pack is not valid JSON: ${e.message}`);
+      }
+      return this.install(pack, source);
+    }
+
+    async loadFromUrl(url) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (e) {
+        throw new Error(`Invalid URL: ${url}`);
+      }
+      if (parsed.protocol !== 'https:') {
+        throw new Error('Selector packs can only be loaded over https');
+      }
+
+      const text = await this.fetchText(parsed.href);
+      return this.loadFromText(text, parsed.href);
+    }
+
+    // Tampermonkey's request API isn't bound by Discord's CSP or CORS; fetch is the fallback
+    fetchText(url) {
+      // @ts-ignore
+      if (typeof GM_xmlhttpRequest === 'function') {
+        return new Promise((resolve, reject) => {
+          // @ts-ignore
+          GM_xmlhttpRequest({
+            method: 'GET',
+            url,
+            onload: (response) => response.status >= 200 && response.status < 300
+              ? resolve(response.responseText)
+              : reject(new Error(`Request failed with status ${response.status}`)),
+            onerror: () => reject(new Error('Request failed')),
+            ontimeout: () => reject(new Error('Request timed out')),
+            timeout: 15000,
+          });
+        });
+      }
+
+      return fetch(url).then(response => {
+        if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+        return response.text();
+      });
+    }
+
+    reset() {
+      applySelectorPack(BUILTIN_SELECTOR_PACK);
+      this.active = { name: BUILTIN_SELECTOR_PACK.name, version: BUILTIN_SELECTOR_PACK.version, source: 'builtin', loadedAt: null };
+      this.storage.config.selectorPack = null;
+      this.storage.saveConfig();
+
+      eventBus.emit('selectors:pack_changed', this.getInfo());
+      return this.getInfo();
+    }
+  }
+
+  // Samples the loaded messages after startup, on navigation and after a pack change. When none
+  // of them yields an author the selectors no longer fit Discord's markup.
+  class SelectorHealthCheck {
+    constructor(filterEngine, selectorPacks) {
+      this.filterEngine = filterEngine;
+      this.selectorPacks = selectorPacks;
+      this.timer = null;
+      this.delayMs = 3000; // let Discord render the channel first
+      this.sampleSize = 20;
+      this.minSample = 3; // fewer messages than this can't tell a broken pack from an odd channel
+      this.result = { status: 'unknown', sampled: 0, extracted: 0, checkedAt: null, pack: selectorPacks.getInfo() };
+    }
+
+    start() {
+      eventBus.on('route:changed', () => this.schedule());
+      eventBus.on('selectors:pack_changed', () => this.schedule(500));
+      this.schedule();
+    }
+
+    schedule(delay = this.delayMs) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.check(), delay);
+    }
+
+    // status: 'ok' | 'broken' | 'unknown' (nothing to judge by, e.g. outside a channel)
+    check() {
+      try {
+        const messages = Array.from(document.querySelectorAll(MESSAGE_SELECTORS.messageContainer))
+          .filter(message => !message.querySelector(MESSAGE_SELECTORS.systemMessage))
+          .slice(-this.sampleSize);
+
+        let status;
+        let extracted = 0;
+        if (messages.length === 0) {
+          // A populated message list without recognisable messages means the container selector broke
+          const list = document.querySelector(MESSAGE_SELECTORS.messageList);
+          status = list && list.querySelector('li') ? 'broken' : 'unknown';
+        } else {
+          extracted = messages.filter(message => this.filterEngine.extractUsername(message)).length;
+          if (extracted > 0) {
+            status = 'ok';
+          } else {
+            status = messages.length >= this.minSample ? 'broken' : 'unknown';
+          }
+        }
+
+        this.result = { status, sampled: messages.length, extracted, checkedAt: new Date(), pack: this.selectorPacks.getInfo() };
+        if (status === 'broken') {
+          console.warn(`[WL] Could not read message authors with selector pack "${this.result.pack.name}" v${this.result.pack.version}; Discord's markup may have changed`);
+        }
+        log(`Selector health: ${status} (${extracted}/${messages.length} authors read)`);
+
+        eventBus.emit('selectors:health_checked', this.result);
+      } catch (e) {
+        console.error("[WL] Selector health check failed:", e);
+      }
+      return this.result;
+    }
+
+    stop() {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // What filter rules look at for one message; DOM lookups happen on first use only
+  class MessageFacts {
+    constructor(messageElement, { username, userId, isListed }) {
+      this.element = messageElement;
+      this.username = username;
+      this.userId = userId;
+      this.isListed = isListed;
+      this.cache = new Map();
+    }
+
+    memo(key, compute) {
+      if (!this.cache.has(key)) {
+        this.cache.set(key, compute());
+      }
+      return this.cache.get(key);
+    }
+
+    get route() {
+      return this.memo('route', () => parseDiscordRoute());
+    }
+
+    get channelName() {
+      return this.memo('channelName', () => getCurrentChannelName());
+    }
+
+    get content() {
+      return this.memo('content', () => {
+        const content = this.element.querySelector(MESSAGE_SELECTORS.messageContent);
+        return content ? content.textContent || '' : '';
+      });
+    }
+
+    // Bot tag and role icons sit in the header, which grouped follow-up messages don't have
+    get roles() {
+      return this.memo('roles', () => {
+        const header = this.findHeaderMessage();
+        if (!header) return [];
+
+        const roles = Array.from(header.querySelectorAll(MESSAGE_SELECTORS.roleIcon))
+          .map(icon => icon.getAttribute('alt') || icon.getAttribute('aria-label') || '')
+          .filter(Boolean);
+        if (header.querySelector(MESSAGE_SELECTORS.botTag)) {
+          roles.push('Bot');
+        }
+        return roles;
+      });
+    }
+
+    get isReply() {
+      return this.memo('isReply', () => !!this.element.querySelector(MESSAGE_SELECTORS.replyPreview));
+    }
+
+    has(feature) {
+      const selector = feature === 'mention' ? MESSAGE_SELECTORS.mention : MESSAGE_SELECTORS[feature];
+      return this.memo(`has:${feature}`, () => !!selector && !!this.element.querySelector(selector));
+    }
+
+    findHeaderMessage() {
+      let current = this.element;
+      for (let i = 0; current && i <= 10; i++) {
+        if (current.querySelector(MESSAGE_SELECTORS.authorElement)) return current;
+        current = current.previousElementSibling;
+      }
+      return null;
+    }
+  }
+
+  // Finds the logged-in user from the account panel; the ID comes from the avatar URL
+  class CurrentUserDetector {
+    constructor() {
+      this.user = null;
+    }
+
+    detect() {
+      // Only a result with an ID is final; names alone are re-read in case the panel was still loading
+      if (this.user?.id) return this.user;
+
+      try {
+        const panel = document.querySelector(MESSAGE_SELECTORS.accountPanel);
+        if (!panel) return this.user;
+
+        const avatar = panel.querySelector(MESSAGE_SELECTORS.accountAvatar);
+        const id = extractUserIdFromAvatarUrl(avatar?.getAttribute('src'));
+        const names = Array.from(panel.querySelectorAll(MESSAGE_SELECTORS.accountName))
+          .map(element => normalizeUsername(element.textContent || ''))
+          .filter(name => name && name.length <= 32);
+
+        if (id || names.length > 0) {
+          this.user = { id, names: [...new Set(names)] };
+          log('Detected current user:', this.user);
+        }
+      } catch (e) {
+        log('Current user detection failed:', e);
+      }
+
+      return this.user;
+    }
+
+    isCurrentUser(username, userId = null) {
+      const user = this.detect();
+      if (!user) return false;
+      if (userId && user.id) return userId === user.id;
+
+      const name = normalizeUsername(username || '').replace(/^@/, '').toLowerCase();
+      return name.length > 0 && user.names.some(own => own.toLowerCase() === name);
+    }
+
+    reset() {
+      this.user = null;
+    }
+  }
+
+  // CSS classes for filtering modes
+  const FILTER_CLASSES = {
+    hidden: 'wl-hidden',
+    collapsed: 'wl-collapsed',
+    expanded: 'wl-expanded',
+    placeholder: 'wl-placeholder',
+    indicator: 'wl-filtered-indicator',
+    context: 'wl-context',
+    grouped: 'wl-grouped',
+    groupHead: 'wl-group-head',
+    groupExpanded: 'wl-group-expanded',
+    highlight: 'wl-highlight'
+  };
+
+  // Inject CSS styles for filtering
+  function injectFilterStyles() {
+    const styleId = 'whitelist-filter-styles';
+    if (document.getElementById(styleId)) return; // Already injected
+
+    const styles = `
+      .${FILTER_CLASSES.hidden} {
+        display: none !important;
+      }
+
+      .${FILTER_CLASSES.collapsed} {
+        opacity: 0.3;
+        background: rgba(114, 137, 218, 0.1);
+        border-left: 3px solid #7289da;
+        margin: 2px 0;
+        transition: all 0.2s ease;
+      }
+
+      .${FILTER_CLASSES.collapsed}:hover {
+        opacity: 1;
+        background: rgba(114, 137, 218, 0.2);
+      }
+
+      /* Message content is dimmed from the li down; only our placeholder and toggle stay usable */
+      .${FILTER_CLASSES.collapsed} > :not(.${FILTER_CLASSES.placeholder}):not(.wl-message-toggle) {
+        opacity: 0.2;
+        filter: blur(2px);
+        pointer-events: none;
+        user-select: none;
+      }
+
+      .${FILTER_CLASSES.placeholder} {
+        padding: 8px 16px;
+        font-size: 12px;
+        color: #72767d;
+        font-style: italic;
+        cursor: pointer;
+        user-select: none;
+      }
+
+      .${FILTER_CLASSES.indicator} {
+        position: relative;
+      }
+
+      .${FILTER_CLASSES.indicator}::before {
+        content: "●";
+        position: absolute;
+        left: -10px;
+        top: 50%;
+        transform: translateY(-50%);
+        color: var(--wl-accent, ${DEFAULT_ACCENT_COLOR});
+        font-size: 8px;
+      }
+
+      /* Highlight-only mode; --wl-accent comes from the collection the author is listed in */
+      .${FILTER_CLASSES.highlight}[data-wl-highlight~="border"] {
+        box-shadow: inset 3px 0 0 var(--wl-accent, ${DEFAULT_ACCENT_COLOR});
+      }
+
+      .${FILTER_CLASSES.highlight}[data-wl-highlight~="tint"] {
+        background-color: var(--wl-accent-tint, rgba(114, 137, 218, 0.08));
+      }
+
+      .wl-highlight-badge {
+        display: inline-block;
+        margin-left: 4px;
+        padding: 0 4px;
+        border-radius: 3px;
+        background: var(--wl-accent, ${DEFAULT_ACCENT_COLOR});
+        color: white;
+        font-size: 10px;
+        font-weight: 600;
+        line-height: 15px;
+        vertical-align: middle;
+      }
+
+      /* Toggle Switch Styles */
+      .wl-message-toggle {
+        position: absolute;
+        top: 8px;
+        left: 12px;
+        width: 32px;
+        height: 18px;
+        background: var(--background-secondary, #2f3136);
+        border-radius: 12px;
+        border: 2px solid var(--background-tertiary, #202225);
+        cursor: pointer;
+        transition: all 0.2s ease;
+        z-index: 10;
+        box-shadow: 0 1px 3px rgba(0, 0, 0, 0.2);
+      }
+
+      .wl-message-toggle:hover {
+        background: var(--background-secondary-alt, #36393f);
+        border-color: var(--interactive-hover, #4f545c);
+      }
+
+      .wl-message-toggle:focus {
+        outline: 2px solid var(--brand-experiment, #5865f2);
+        outline-offset: 2px;
+      }
+
+      .wl-message-toggle.active {
+        background: var(--brand-experiment, #5865f2);
+        border-color: var(--brand-experiment, #5865f2);
+      }
+
+      .wl-message-toggle.active:hover {
+        background: var(--brand-experiment-560, #4752c4);
+        border-color: var(--brand-experiment-560, #4752c4);
+      }
+
+      .wl-message-toggle::after {
+        content: '';
+        position: absolute;
+        top: 2px;
+        left: 2px;
+        width: 10px;
+        height: 10px;
+        background: white;
+        border-radius: 50%;
+        transition: transform 0.2s ease;
+        box-shadow: 0 1px 2px rgba(0, 0, 0, 0.2);
+      }
+
+      .wl-message-toggle.active::after {
+        transform: translateX(14px);
+      }
+
+      /* Message override indicator */
+      .wl-toggle-override {
+        position: relative;
+      }
+
+      .wl-toggle-override::after {
+        content: "👁";
+        position: absolute;
+        right: 12px;
+        top: 10px;
+        font-size: 12px;
+        opacity: 0.5;
+      }
+
+      /* Hide toggle switch on whitelisted messages */
+      .${FILTER_CLASSES.indicator} .wl-message-toggle {
+        display: none;
+      }
+
+      /* Reply from an unlisted user to a listed one, kept readable for context */
+      .${FILTER_CLASSES.context} {
+        opacity: 0.6;
+        transition: opacity 0.2s ease;
+      }
+
+      .${FILTER_CLASSES.context}:hover {
+        opacity: 0.9;
+      }
+
+      /* Runs of filtered messages: only the first one shows, reduced to its group bar */
+      .${FILTER_CLASSES.grouped}:not(.${FILTER_CLASSES.groupHead}):not(.${FILTER_CLASSES.groupExpanded}) {
+        display: none !important;
+      }
+
+      .${FILTER_CLASSES.groupHead}:not(.${FILTER_CLASSES.groupExpanded}) > :not(.wl-group-bar) {
+        display: none !important;
+      }
+
+      .${FILTER_CLASSES.grouped}.${FILTER_CLASSES.groupExpanded} > :not(.wl-group-bar) {
+        opacity: 0.6;
+      }
+
+      .wl-group-bar {
+        margin: 2px 16px;
+        padding: 4px 10px;
+        background: rgba(79, 84, 92, 0.3);
+        border-radius: 4px;
+        color: #b9bbbe;
+        font-size: 12px;
+        cursor: pointer;
+        user-select: none;
+      }
+
+      .wl-group-bar:hover {
+        background: rgba(79, 84, 92, 0.5);
+        color: #dcddde;
+      }
+    `;
+
+    const styleElement = document.createElement('style');
+    styleElement.id = styleId;
+    styleElement.textContent = styles;
+    document.head.appendChild(styleElement);
+    log("Filter styles injected");
+  }
+
+  // MessageObserver class for detecting Discord messages
+  class MessageObserver {
+    constructor(filterEngine) {
+      this.filterEngine = filterEngine;
+      this.observer = null;
+      this.debounceTimer = null;
+      this.isObserving = false;
+      this.pendingMutations = [];
+      this.debounceMs = 50;
+      // Off-screen messages wait here until they come within the viewport margin
+      this.viewportObservers = new Map(); // scroll container (or null for the page) -> IntersectionObserver
+      this.queued = new Set();
+    }
+
+    start() {
+      if (this.isObserving) return;
+
+      try {
+        const targetNode = document.querySelector('#app-mount') || document.body;
+
+        this.observer = new MutationObserver((mutations) => {
+          this.handleMutations(mutations);
+        });
+
+        this.observer.observe(targetNode, {
+          childList: true,
+          subtree: true,
+          attributes: false
+        });
+
+        this.isObserving = true;
+        log("MessageObserver started");
+
+        // Process existing messages
+        this.processExistingMessages();
+      } catch (e) {
+        console.error("[WL] Failed to start MessageObserver:", e);
+      }
+    }
+
+    stop() {
+      if (!this.isObserving) return;
+
+      try {
+        if (this.observer) {
+          this.observer.disconnect();
+          this.observer = null;
+        }
+
+        if (this.debounceTimer) {
+          clearTimeout(this.debounceTimer);
+          this.debounceTimer = null;
+        }
+
+        this.resetViewport(false);
+        this.isObserving = false;
+        this.pendingMutations = [];
+        log("MessageObserver stopped");
+      } catch (e) {
+        console.error("[WL] Failed to stop MessageObserver:", e);
+      }
+    }
+
+    handleMutations(mutations) {
+      // Add to pending mutations
+      this.pendingMutations.push(...mutations);
+
+      // Debounce processing
+      if (this.debounceTimer) {
+        clearTimeout(this.debounceTimer);
+      }
+
+      this.debounceTimer = setTimeout(() => {
+        this.processPendingMutations();
+      }, this.debounceMs);
+    }
+
+    processPendingMutations() {
+      const mutations = [...this.pendingMutations];
+      this.pendingMutations = [];
+
+      const messagesToProcess = new Set();
+
+      try {
+        mutations.forEach(mutation => {
+          // Discord's list is virtualized; stop watching messages it unloaded before we got to them
+          mutation.removedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && this.queued.size > 0) {
+              const removed = this.isMessageContainer(node) ? [node] : Array.from(node.querySelectorAll?.(MESSAGE_SELECTORS.messageContainer) || []);
+              removed.forEach(message => this.unqueue(message));
+            }
+          });
+
+          mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+              // Direct message container
+              if (this.isMessageContainer(node)) {
+                messagesToProcess.add(node);
+              }
+
+              // Search for message containers within added nodes
+              const messageContainers = node.querySelectorAll?.(MESSAGE_SELECTORS.messageContainer);
+              if (messageContainers) {
+                messageContainers.forEach(container => messagesToProcess.add(container));
+              }
+            }
+          });
+        });
+
+        // Process unique messages as they come near the viewport
+        if (messagesToProcess.size > 0) {
+          this.queueMessages(Array.from(messagesToProcess));
+        }
+      } catch (e) {
+        console.error("[WL] Error processing mutations:", e);
+      }
+    }
+
+    processExistingMessages() {
+      try {
+        const existingMessages = document.querySelectorAll(MESSAGE_SELECTORS.messageContainer);
+        log(`processExistingMessages: Found ${existingMessages.length} messages with selector "${MESSAGE_SELECTORS.messageContainer}"`);
+
+        // Debug: try alternative selectors
+        const altMessages = document.querySelectorAll('li.message');
+        log(`processExistingMessages: Found ${altMessages.length} messages with selector "li.message"`);
+
+        if (existingMessages.length > 0) {
+          log(`Processing ${existingMessages.length} existing messages`);
+          this.queueMessages(Array.from(existingMessages));
+        } else if (altMessages.length > 0) {
+          log(`Using alternative selector - processing ${altMessages.length} existing messages`);
+          this.queueMessages(Array.from(altMessages));
+        }
+      } catch (e) {
+        console.error("[WL] Error processing existing messages:", e);
+      }
+    }
+
+    // Hands messages to the filter once they are within the viewport margin. IntersectionObserver
+    // reports every newly observed target right away, so visible messages are not held back.
+    queueMessages(messageElements) {
+      if (typeof window.IntersectionObserver !== 'function') {
+        this.filterEngine.processMessages(messageElements);
+        return;
+      }
+
+      try {
+        messageElements.forEach(messageElement => {
+          if (this.queued.has(messageElement)) return;
+
+          this.queued.add(messageElement);
+          this.getViewportObserver(messageElement).observe(messageElement);
+        });
+      } catch (e) {
+        console.error("[WL] Error queueing messages for the viewport:", e);
+        this.filterEngine.processMessages(messageElements);
+      }
+    }
+
+    // Splits messages into those already within the viewport margin and the rest, using the
+    // layout as it is now. A full refresh filters the first group at once so it never shows
+    // unfiltered; the observer would only report them after a paint.
+    partitionByViewport(messageElements) {
+      if (typeof window.IntersectionObserver !== 'function') {
+        return { nearby: messageElements, distant: [] };
+      }
+
+      const margin = this.filterEngine.storage.getViewportMargin();
+      const bounds = new Map(); // parent -> scroll container bounds
+      const nearby = [];
+      const distant = [];
+
+      messageElements.forEach(messageElement => {
+        const parent = messageElement.parentElement;
+        if (!bounds.has(parent)) {
+          const root = findScrollContainer(messageElement);
+          bounds.set(parent, root ? root.getBoundingClientRect() : { top: 0, bottom: window.innerHeight });
+        }
+        const { top, bottom } = bounds.get(parent);
+        const rect = messageElement.getBoundingClientRect();
+        const inRange = rect.bottom >= top - margin && rect.top <= bottom + margin;
+        (inRange ? nearby : distant).push(messageElement);
+      });
+
+      return { nearby, distant };
+    }
+
+    getViewportObserver(messageElement) {
+      const root = findScrollContainer(messageElement);
+      if (this.viewportObservers.has(root)) {
+        return this.viewportObservers.get(root);
+      }
+
+      // Channel switches replace the scroller; drop observers for ones that are gone
+      this.viewportObservers.forEach((observer, oldRoot) => {
+        if (oldRoot && !oldRoot.isConnected) {
+          observer.disconnect();
+          this.viewportObservers.delete(oldRoot);
+        }
+      });
+
+      const margin = this.filterEngine.storage.getViewportMargin();
+      const observer = new IntersectionObserver((entries) => this.handleIntersections(entries, observer), {
+        root,
+        rootMargin: `${margin}px 0px ${margin}px 0px`,
+      });
+      this.viewportObservers.set(root, observer);
+      return observer;
+    }
+
+    handleIntersections(entries, observer) {
+      const ready = [];
+      entries.forEach(entry => {
+        if (!entry.isIntersecting || !this.queued.has(entry.target)) return;
+
+        observer.unobserve(entry.target);
+        this.queued.delete(entry.target);
+        ready.push(entry.target);
+      });
+
+      if (ready.length > 0) {
+        log(`Viewport: ${ready.length} messages came into range (${this.queued.size} still queued)`);
+        this.filterEngine.processMessages(ready);
+      }
+    }
+
+    unqueue(messageElement) {
+      if (!this.queued.delete(messageElement)) return;
+      this.viewportObservers.forEach(observer => observer.unobserve(messageElement));
+    }
+
+    // Rebuilds the observers (e.g. after the margin changed); still-queued messages are re-queued
+    resetViewport(requeue = true) {
+      const pending = Array.from(this.queued);
+      this.viewportObservers.forEach(observer => observer.disconnect());
+      this.viewportObservers.clear();
+      this.queued.clear();
+
+      if (requeue && pending.length > 0) {
+        this.queueMessages(pending.filter(message => message.isConnected));
+      }
+    }
+
+    isMessageContainer(element) {
+      return !!element.matches && element.matches(MESSAGE_SELECTORS.messageContainer);
+    }
+  }
+
+  // Folds each run of adjacent grouped messages behind one bar on the run's first message.
+  // Runs are recomputed after every batch, so messages Discord inserts extend or split them.
+  class MessageGroups {
+    constructor(filterEngine) {
+      this.filterEngine = filterEngine;
+      this.expanded = new Set(); // IDs of messages in runs the user opened
+      this.updateTimer = null;
+      this.delayMs = 30;
+    }
+
+    scheduleUpdate() {
+      clearTimeout(this.updateTimer);
+      this.updateTimer = setTimeout(() => this.update(), this.delayMs);
+    }
+
+    update() {
+      try {
+        this.collectRuns().forEach(run => this.renderRun(run));
+      } catch (e) {
+        console.error("[WL] Error grouping hidden messages:", e);
+      }
+    }
+
+    // Any other sibling (a shown message, a date divider) ends a run
+    collectRuns() {
+      const lists = new Set(
+        Array.from(document.querySelectorAll(`.${FILTER_CLASSES.grouped}`)).map(message => message.parentElement)
+      );
+      const runs = [];
+
+      lists.forEach(list => {
+        let run = [];
+        Array.from(list.children).forEach(child => {
+          if (child.classList.contains(FILTER_CLASSES.grouped)) {
+            run.push(child);
+          } else if (run.length > 0) {
+            runs.push(run);
+            run = [];
+          }
+        });
+        if (run.length > 0) runs.push(run);
+      });
+
+      return runs;
+    }
+
+    renderRun(run) {
+      const [head, ...rest] = run;
+      const isExpanded = run.some(message => this.expanded.has(message.id));
+      if (isExpanded) {
+        run.forEach(message => this.expanded.add(message.id));
+      }
+
+      // Older messages loaded above move the head; drop bars left on former heads
+      rest.forEach(message => {
+        message.classList.remove(FILTER_CLASSES.groupHead);
+        message.querySelector(':scope > .wl-group-bar')?.remove();
+      });
+      run.forEach(message => message.classList.toggle(FILTER_CLASSES.groupExpanded, isExpanded));
+      head.classList.add(FILTER_CLASSES.groupHead);
+
+      let bar = head.querySelector(':scope > .wl-group-bar');
+      if (!bar) {
+        bar = document.createElement('div');
+        bar.className = 'wl-group-bar';
+        bar.setAttribute('role', 'button');
+        bar.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.toggle(head);
+        });
+        head.insertBefore(bar, head.firstChild);
+      }
+
+      const people = new Set(
+        run.map(message => this.filterEngine.messageCache.get(message.id)?.username).filter(Boolean)
+      ).size;
+      const messages = `${run.length} message${run.length === 1 ? '' : 's'}`;
+      const from = people > 0 ? ` from ${people} ${people === 1 ? 'person' : 'people'}` : '';
+      bar.textContent = `${isExpanded ? '▾' : '▸'} ${messages}${from} ${isExpanded ? 'shown (click to hide)' : 'hidden'}`;
+    }
+
+    toggle(head) {
+      const run = this.collectRuns().find(candidate => candidate[0] === head);
+      if (!run) return;
+
+      const expand = !run.some(message => this.expanded.has(message.id));
+      run.forEach(message => {
+        if (expand) {
+          this.expanded.add(message.id);
+        } else {
+          this.expanded.delete(message.id);
+        }
+      });
+      this.renderRun(run);
+    }
+  }
+
+  // FilterEngine class for applying whitelist-based filtering
+  class FilterEngine {
+    constructor(whitelistManager, storageManager) {
+      this.whitelist = whitelistManager;
+      this.storage = storageManager;
+      this.observer = new MessageObserver(this);
+      this.groups = new MessageGroups(this);
+      this.isInitialized = false;
+      this.messageCache = new Map(); // Cache filtering results
+      this.authorIndex = new Map(); // author key -> IDs of rendered messages that depend on that author
+      this.processGeneration = 0;
+      this.collapseHandlers = new WeakSet(); // message elements with the expand/collapse click handler
+      this.currentUser = new CurrentUserDetector();
+      this.ownThreads = new Map(); // thread channel ID -> started by the current user
+      this.stats = {
+        processed: 0,
+        filtered: 0,
+        whitelisted: 0,
+        listed: 0,
+        exempted: 0
+      };
+    }
+
+    initialize() {
+      if (this.isInitialized) return;
+
+      try {
+        // Inject CSS styles
+        injectFilterStyles();
+
+        // Listen for whitelist changes
+        // A single list change only re-renders that author's messages; everything else is a full pass
+        eventBus.on('whitelist:user_added', ({ username, entry }) => this.refreshAuthor(username, entry?.userId));
+        eventBus.on('whitelist:user_removed', ({ username, userId }) => this.refreshAuthor(username, userId));
+        eventBus.on('whitelist:cleared', () => this.refreshAllMessages());
+        eventBus.on('collection:switched', () => this.refreshAllMessages());
+        eventBus.on('collection:mode_changed', () => this.refreshAllMessages());
+        eventBus.on('collection:combination_changed', () => this.refreshAllMessages());
+        eventBus.on('filter:exemptions_changed', () => this.refreshAllMessages());
+        eventBus.on('collection:rules_changed', () => this.refreshAllMessages());
+        eventBus.on('filter:display_override_changed', () => this.refreshAllMessages());
+        eventBus.on('filter:highlight_changed', () => this.refreshAllMessages());
+        eventBus.on('collection:accent_changed', () => this.refreshAllMessages());
+        eventBus.on('whitelist:imported', () => this.refreshAllMessages());
+        eventBus.on('storage:ready', () => this.refreshAllMessages());
+        eventBus.on('storage:synced', () => this.refreshAllMessages());
+        eventBus.on('backup:restored', () => this.refreshAllMessages());
+        eventBus.on('history:applied', () => this.refreshAllMessages());
+        eventBus.on('filter:viewport_margin_changed', () => this.observer.resetViewport());
+        eventBus.on('selectors:pack_changed', () => {
+          this.currentUser.reset();
+          this.ownThreads.clear();
+          this.refreshAllMessages();
+        });
+
+        // Start observing
+        this.observer.start();
+
+        this.isInitialized = true;
+        log("FilterEngine initialized");
+      } catch (e) {
+        console.error("[WL] Failed to initialize FilterEngine:", e);
+      }
+    }
+
+    shutdown() {
+      if (!this.isInitialized) return;
+
+      try {
+        this.observer.stop();
+        this.clearAllFiltering();
+        this.messageCache.clear();
+        this.authorIndex.clear();
+        this.isInitialized = false;
+        log("FilterEngine shutdown");
+      } catch (e) {
+        console.error("[WL] Error shutting down FilterEngine:", e);
+      }
+    }
+
+    // Filters in batches of 20: the first right away, the rest whenever the browser is idle.
+    // firstBatch raises the size of that first batch, for messages already on screen.
+    // A full refresh bumps processGeneration, which abandons batches left from before it.
+    processMessages(messageElements, firstBatch = 0) {
+      if (!this.isEnabled()) return;
+
+      const batchSize = 20; // Process in smaller batches for performance
+      const generation = this.processGeneration;
+      let index = 0;
+      let size = Math.max(batchSize, firstBatch);
+
+      const runBatches = (deadline) => {
+        if (generation !== this.processGeneration || !this.isEnabled()) return;
+
+        try {
+          do {
+            const batch = messageElements.slice(index, index + size);
+            size = batchSize;
+            batch.forEach(messageElement => {
+              if (messageElement.isConnected) {
+                this.filterMessage(messageElement);
+              }
+            });
+            index += batch.length;
+            this.stats.processed += batch.length;
+          } while (index < messageElements.length && deadline.timeRemaining() > 1);
+
+          // Yield control to prevent blocking
+          if (index < messageElements.length) {
+            scheduleIdle(runBatches);
+            return;
+          }
+
+          log(`Processed ${messageElements.length} messages (${this.stats.processed} total)`);
+
+          if (this.getEffectiveDisplayMode() === DISPLAY_OVERRIDE_MODES.group) {
+            this.groups.scheduleUpdate();
+          }
+
+          // Emit event to update UI stats
+          eventBus.emit('filter:stats_updated', this.getStats());
+        } catch (e) {
+          console.error("[WL] Error processing message batch:", e);
+        }
+      };
+
+      // The first batch always runs now so the messages the user is looking at don't flash
+      runBatches({ didTimeout: false, timeRemaining: () => 0 });
+    }
+
+    filterMessage(messageElement) {
+      if (!messageElement || !this.isEnabled()) {
+        log(`filterMessage: Skipped - element: ${!!messageElement}, enabled: ${this.isEnabled()}`);
+        return;
+      }
+
+      try {
+        const messageId = messageElement.id;
+        log(`filterMessage: Processing message ${messageId}`);
+
+        // Check if toggle is overriding visibility
+        if (MessageToggleSwitch.getToggleState(messageId)) {
+          log(`filterMessage: Message ${messageId} has toggle override - keeping visible`);
+          this.storage.touchToggleOverride(messageId);
+          // Ensure toggle switch exists
+          const toggle = new MessageToggleSwitch(messageElement, messageId);
+          toggle.create();
+          toggle.isVisible = true;
+          toggle.showMessage();
+          return;
+        }
+
+        // Check cache first
+        if (this.messageCache.has(messageId)) {
+          const cached = this.messageCache.get(messageId);
+          log(`filterMessage: Using cached result for ${messageId} - username: ${cached.username}, listed: ${cached.isWhitelisted}, allowed: ${cached.isAllowed}`);
+          this.applyDisplayMode(messageElement, cached.isAllowed, cached.username, cached.isWhitelisted, cached);
+          return;
+        }
+
+        // Extract username and, when available, the stable user ID
+        const username = this.extractUsername(messageElement);
+        const extraction = this.lastExtraction;
+        const userId = username ? this.extractUserId(messageElement) : null;
+        log(`filterMessage: Extracted username: "${username}" (id: ${userId}) from message ${messageId}`);
+
+        if (!username) {
+          // Keep non-user messages visible (system messages, etc.)
+          log(`filterMessage: No username found, keeping message ${messageId} visible`);
+          this.removeFilterClasses(messageElement);
+          return;
+        }
+
+        // Check the list (ID match first, display name as fallback), then run the collection's rules
+        const isWhitelisted = this.whitelist.isWhitelisted(username, userId);
+        const decision = this.decide(messageElement, { username, userId, isListed: isWhitelisted });
+        const isAllowed = decision.action === RULE_ACTIONS.show;
+        log(`filterMessage: Username "${username}" is ${isWhitelisted ? 'LISTED' : 'NOT LISTED'} (${decision.action} via ${decision.source}${decision.rule ? `: ${decision.rule}` : ''}${decision.exemption ? `, exempt: ${decision.exemption}` : ''})`);
+
+        // Cache result
+        const entry = isWhitelisted ? this.whitelist.findEntry(username, userId) : null;
+        const listedIn = entry ? this.whitelist.getEntryCollection(entry)?.id || null : null;
+        const result = { isWhitelisted, isAllowed, username, userId, extraction, listedIn, ...decision };
+        this.messageCache.set(messageId, result);
+        // Replies also depend on the replied-to author, for the conversation context exemption
+        this.indexMessage(messageId, [{ username, userId }, this.getRepliedAuthor(messageElement)]);
+
+        // Apply filtering
+        log(`filterMessage: Applying display mode for ${username} (allowed: ${isAllowed})`);
+        this.applyDisplayMode(messageElement, isAllowed, username, isWhitelisted, result);
+
+        // Update stats
+        if (isWhitelisted) {
+          this.stats.listed++;
+        }
+        if (decision.exemption) {
+          this.stats.exempted++;
+        }
+        if (isAllowed) {
+          this.stats.whitelisted++;
+        } else {
+          this.stats.filtered++;
+        }
+
+      } catch (e) {
+        console.error("[WL] Error filtering message:", e);
+        // On error, keep message visible
+        this.removeFilterClasses(messageElement);
+      }
+    }
+
+    // Decision record for one message: { action, source, rule, ruleIndex, exemption }.
+    // action is show | collapse | hide, or "filter" for the global display mode;
+    // source says what decided it: 'rule', 'default' or 'list' (list mode plus exemptions).
+    // dryRun skips the lookups' side effects (binding user IDs, caching thread owners).
+    decide(messageElement, author, { dryRun = false } = {}) {
+      const facts = new MessageFacts(messageElement, author);
+      const { action, rule, ruleIndex } = this.whitelist.evaluateRules(facts);
+      const source = rule ? 'rule' : 'default';
+
+      if (action !== RULE_ACTIONS.list) {
+        return { action, source, rule, ruleIndex, exemption: null };
+      }
+
+      const passesList = this.whitelist.getListMode() === LIST_MODES.blacklist ? !author.isListed : author.isListed;
+      // Messages involving the current user stay visible even when the list would filter them
+      const exemption = passesList ? null : this.getExemption(messageElement, { dryRun });
+
+      return {
+        action: passesList || exemption ? RULE_ACTIONS.show : 'filter',
+        source: rule ? 'rule' : 'list',
+        rule,
+        ruleIndex,
+        exemption,
+      };
+    }
+
+    getDecision(messageId) {
+      const cached = this.messageCache.get(messageId);
+      return cached ? { ...cached } : null;
+    }
+
+    // Re-runs every filtering step for one message without changing it, and reports
+    // what each step saw next to what is currently cached and displayed
+    explain(messageId) {
+      const messageElement = document.getElementById(messageId);
+      if (!messageElement) {
+        return { messageId, found: false };
+      }
+
+      const config = this.storage.config.globalSettings;
+      const cached = this.getDecision(messageId);
+      const username = this.extractUsername(messageElement);
+      const extraction = this.lastExtraction || { strategy: 'none', sourceMessageId: null };
+      const userId = username ? this.extractUserId(messageElement) : null;
+
+      const entry = username ? this.whitelist.findEntry(username, userId) : null;
+      const owner = entry ? this.whitelist.getEntryCollection(entry) : null;
+      const activeCollection = this.storage.getActiveCollection();
+      const decision = username
+        ? this.decide(messageElement, { username, userId, isListed: !!entry }, { dryRun: true })
+        : { action: RULE_ACTIONS.show, source: 'no-author', rule: null, ruleIndex: -1, exemption: null };
+
+      const classes = Object.entries(FILTER_CLASSES)
+        .filter(([, className]) => messageElement.classList.contains(className))
+        .map(([name]) => name);
+
+      return {
+        messageId,
+        found: true,
+        author: {
+          username,
+          userId,
+          strategy: extraction.strategy,
+          sourceMessageId: extraction.sourceMessageId,
+        },
+        collection: activeCollection ? {
+          id: activeCollection.id,
+          name: activeCollection.name,
+          listMode: activeCollection.getListMode(),
+          combination: this.storage.getCombination().mode,
+        } : null,
+        entry: entry ? { ...entry.toJSON(), collection: owner ? owner.name : null } : null,
+        decision,
+        display: {
+          classes,
+          mode: this.getEffectiveDisplayMode(),
+          override: this.storage.getDisplayOverride(),
+        },
+        overrides: {
+          toggle: MessageToggleSwitch.getToggleState(messageId),
+          filteringDisabled: !config.enabled,
+          showAllTemp: !!config.showAllTemp,
+        },
+        cache: {
+          hit: !!cached,
+          stale: !!cached && (cached.username !== username || cached.action !== decision.action),
+          decision: cached,
+        },
+      };
+    }
+
+    // Returns why a filtered message should be shown anyway
+    // ('own-thread' | 'mention' | 'reply' | 'context'), or null
+    getExemption(messageElement, { dryRun = false } = {}) {
+      const exemptions = this.storage.getExemptions();
+      if (!Object.values(exemptions).some(Boolean)) return null;
+
+      try {
+        if (this.currentUser.detect()) {
+          if (exemptions.ownThreads && this.isInOwnThread({ dryRun })) return 'own-thread';
+          if (exemptions.mentions && this.mentionsCurrentUser(messageElement)) return 'mention';
+          if (exemptions.replies && this.repliesToCurrentUser(messageElement)) return 'reply';
+        }
+        if (exemptions.conversationContext && this.repliesToListedUser(messageElement, { dryRun })) return 'context';
+      } catch (e) {
+        log('Exemption check failed:', e);
+      }
+      return null;
+    }
+
+    // Author of the message shown in the reply preview, if this message is a reply
+    getRepliedAuthor(messageElement) {
+      const preview = messageElement.querySelector(MESSAGE_SELECTORS.replyPreview);
+      if (!preview) return null;
+
+      const avatar = messageElement.querySelector(MESSAGE_SELECTORS.replyAvatar);
+      const nameElement = preview.querySelector(MESSAGE_SELECTORS.authorElement);
+      const username = normalizeUsername(nameElement?.textContent || '').replace(/^@/, '');
+
+      return {
+        username: username || null,
+        userId: extractUserIdFromAvatarUrl(avatar?.getAttribute('src')),
+      };
+    }
+
+    // Context only makes sense when the list names the people we follow
+    repliesToListedUser(messageElement, { dryRun = false } = {}) {
+      if (this.whitelist.getListMode() !== LIST_MODES.whitelist) return false;
+
+      const replied = this.getRepliedAuthor(messageElement);
+      if (!replied || !replied.username) return false;
+
+      return dryRun
+        ? this.whitelist.findEntry(replied.username, replied.userId) !== null
+        : this.whitelist.isWhitelisted(replied.username, replied.userId);
+    }
+
+    // Discord highlights messages that ping us; explicit @name mentions cover the rest
+    mentionsCurrentUser(messageElement) {
+      if (messageElement.matches(MESSAGE_SELECTORS.mentionHighlight) ||
+          messageElement.querySelector(MESSAGE_SELECTORS.mentionHighlight)) {
+        return true;
+      }
+
+      return Array.from(messageElement.querySelectorAll(MESSAGE_SELECTORS.mention))
+        .some(mention => this.currentUser.isCurrentUser(mention.textContent));
+    }
+
+    repliesToCurrentUser(messageElement) {
+      const replied = this.getRepliedAuthor(messageElement);
+      return !!replied && this.currentUser.isCurrentUser(replied.username, replied.userId);
+    }
+
+    // A thread created from a message shares that message's ID, so its starter is
+    // rendered as chat-messages-<parent>-<threadId>. Remembered once seen.
+    isInOwnThread({ dryRun = false } = {}) {
+      const { channelId } = parseDiscordRoute();
+      if (!channelId) return false;
+      if (this.ownThreads.has(channelId)) return this.ownThreads.get(channelId);
+
+      const starter = Array.from(document.querySelectorAll(MESSAGE_SELECTORS.messageContainer))
+        .find(message => message.id.endsWith(`-${channelId}`));
+      if (!starter) return false;
+
+      const username = this.extractUsername(starter);
+      const isOwn = !!username && this.currentUser.isCurrentUser(username, this.extractUserId(starter));
+      if (!dryRun) this.ownThreads.set(channelId, isOwn);
+      return isOwn;
+    }
+
+    extractUsername(messageElement) {
+      try {
+        // Discord message structure analysis:
+        // - Regular messages have username in the header
+        // - Reply messages have TWO usernames: the referenced user AND the actual author
+        // - We need to find the actual message author, not the referenced user
+
+        // Strategy: Get all username elements and filter intelligently
+        const usernameElements = Array.from(messageElement.querySelectorAll(MESSAGE_SELECTORS.authorElement));
+        // Which strategy produced the name, for explain(); grouped lookups fill in the source message
+        this.lastExtraction = { strategy: 'none', sourceMessageId: null };
+
+        if (usernameElements.length === 0) {
+          log(`extractUsername: No username elements found in message ${messageElement.id}, looking for grouped message`);
+          // This might be a consecutive message from the same user
+          // Look backwards through previous siblings to find the username
+          return this.findUsernameFromPreviousMessage(messageElement);
+        }
+
+        log(`extractUsername: Found ${usernameElements.length} username elements in message`);
+
+        // For replies, we need to skip the first username (referenced user) if it's in a reply container
+        for (let i = 0; i < usernameElements.length; i++) {
+          const element = usernameElements[i];
+          const text = element.textContent?.trim();
+
+          if (!text || text.length === 0 || text.length > 32) {
+            continue;
+          }
+
+          // Check if this username is in a reply preview section
+          const isInReplyPreview = element.closest(MESSAGE_SELECTORS.replyPreview) !== null;
+
+          if (isInReplyPreview) {
+            log(`extractUsername: Skipping reply preview username at index ${i}: "${text}"`);
+            continue;
+          }
+
+          // Check if this username is in the main message header
+          const isInHeader = element.closest(MESSAGE_SELECTORS.messageHeader) !== null;
+
+          if (isInHeader || i === usernameElements.length - 1) {
+            // This should be the actual message author
+            log(`extractUsername: Found message author at index ${i}: "${text}" (inHeader: ${isInHeader})`);
+            this.lastExtraction = { strategy: isInHeader ? 'header' : 'last-username', sourceMessageId: messageElement.id || null };
+            return text;
+          }
+        }
+
+        // Fallback: If we couldn't determine the structure, return the last username found
+        // (which is usually the actual author)
+        const lastUsername = usernameElements[usernameElements.length - 1];
+        const fallbackText = lastUsername?.textContent?.trim();
+        if (fallbackText && fallbackText.length > 0 && fallbackText.length <= 32) {
+          log(`extractUsername: Using fallback (last username): "${fallbackText}"`);
+          this.lastExtraction = { strategy: 'fallback-last-username', sourceMessageId: messageElement.id || null };
+          return fallbackText;
+        }
+
+        log(`extractUsername: No valid username found for message ${messageElement.id}`);
+        return null;
+      } catch (e) {
+        console.error("[WL] Error extracting username:", e);
+        return null;
+      }
+    }
+
+    findUsernameFromPreviousMessage(messageElement) {
+      try {
+        log(`findUsernameFromPreviousMessage: Looking for username in previous messages for ${messageElement.id}`);
+
+        // Discord groups consecutive messages from the same user
+        // Walk backwards through previous siblings to find a message with a username
+        let currentElement = messageElement.previousElementSibling;
+        let searchCount = 0;
+        const maxSearch = 10; // Limit search to prevent infinite loops
+
+        while (currentElement && searchCount < maxSearch) {
+          searchCount++;
+
+          // Check if this is a message container
+          if (this.isMessageElement(currentElement)) {
+            log(`findUsernameFromPreviousMessage: Checking previous message ${currentElement.id || 'unknown'} (search #${searchCount})`);
+
+            // Try to extract username from this message
+            const usernameElements = Array.from(currentElement.querySelectorAll(MESSAGE_SELECTORS.authorElement));
+
+            for (const element of usernameElements) {
+              const text = element.textContent?.trim();
+
+              if (!text || text.length === 0 || text.length > 32) {
+                continue;
+              }
+
+              // Skip reply preview usernames
+              const isInReplyPreview = element.closest(MESSAGE_SELECTORS.replyPreview) !== null;
+
+              if (isInReplyPreview) {
+                continue;
+              }
+
+              // Check if this username is in the main message header
+              const isInHeader = element.closest(MESSAGE_SELECTORS.messageHeader) !== null;
+
+              if (isInHeader) {
+                log(`findUsernameFromPreviousMessage: Found username from previous message: "${text}"`);
+                this.lastExtraction = { strategy: 'previous-message', sourceMessageId: currentElement.id || null };
+                return text;
+              }
+            }
+
+            // If this previous message also has no username, continue searching
+            // but if it has a username that we couldn't match our criteria, stop searching
+            // (this might be a different user's message)
+            if (usernameElements.length > 0) {
+              log(`findUsernameFromPreviousMessage: Previous message has username elements but none matched criteria, stopping search`);
+              break;
+            }
+          }
+
+          currentElement = currentElement.previousElementSibling;
+        }
+
+        log(`findUsernameFromPreviousMessage: No username found in ${searchCount} previous messages`);
+        return null;
+      } catch (e) {
+        console.error("[WL] Error finding username from previous message:", e);
+        return null;
+      }
+    }
+
+    extractUserId(messageElement) {
+      try {
+        const ownId = this.findAuthorUserId(messageElement);
+        if (ownId) return ownId;
+
+        // A message with its own author header but no readable ID (e.g. default avatar)
+        // must not inherit someone else's ID
+        const hasAuthorHeader = Array.from(messageElement.querySelectorAll(MESSAGE_SELECTORS.authorElement))
+          .some(element => !element.closest(MESSAGE_SELECTORS.replyPreview));
+        if (hasAuthorHeader) return null;
+
+        // Grouped message: Discord only renders the avatar on the first message of the group
+        let currentElement = messageElement.previousElementSibling;
+        let searchCount = 0;
+        const maxSearch = 10;
+
+        while (currentElement && searchCount < maxSearch) {
+          searchCount++;
+
+          if (this.isMessageElement(currentElement)) {
+            const previousId = this.findAuthorUserId(currentElement);
+            if (previousId) {
+              log(`extractUserId: Inherited user ID ${previousId} from ${currentElement.id || 'previous message'}`);
+              return previousId;
+            }
+            if (currentElement.querySelector(MESSAGE_SELECTORS.authorElement)) {
+              break;
+            }
+          }
+
+          currentElement = currentElement.previousElementSibling;
+        }
+
+        return null;
+      } catch (e) {
+        console.error("[WL] Error extracting user ID:", e);
+        return null;
+      }
+    }
+
+    findAuthorUserId(messageElement) {
+      // Explicit author data wins over avatar URL parsing
+      const dataElement = messageElement.querySelector(MESSAGE_SELECTORS.authorData);
+      if (dataElement && !dataElement.closest(MESSAGE_SELECTORS.replyPreview)) {
+        const dataId = dataElement.getAttribute('data-author-id');
+        if (isValidUserId(dataId)) return dataId;
+      }
+
+      const avatars = messageElement.querySelectorAll(MESSAGE_SELECTORS.authorAvatar);
+      for (const avatar of avatars) {
+        // Reply previews show the referenced user's avatar, not the author's
+        if (avatar.closest(MESSAGE_SELECTORS.replyPreview)) continue;
+
+        const avatarId = extractUserIdFromAvatarUrl(avatar.getAttribute('src'));
+        if (avatarId) return avatarId;
+      }
+
+      return null;
+    }
+
+    isMessageElement(element) {
+      return !!element && !!element.matches && element.matches(MESSAGE_SELECTORS.messageContainer);
+    }
+
+    // Global display mode, narrowed by any override for the current channel or server:
+    // 'disabled' | 'show-all' | 'off' | 'hide' | 'collapse'
+    getEffectiveDisplayMode() {
+      const config = this.storage.config.globalSettings;
+      if (!config.enabled) return 'disabled';
+      if (config.showAllTemp) return 'show-all';
+
+      const override = this.storage.getDisplayOverride();
+      if (override) return override.mode;
+      if (config.hardHide) return DISPLAY_OVERRIDE_MODES.hide;
+      if (config.highlightOnly) return DISPLAY_OVERRIDE_MODES.highlight;
+      return config.groupHidden ? DISPLAY_OVERRIDE_MODES.group : DISPLAY_OVERRIDE_MODES.collapse;
+    }
+
+    // `details` carries the exemption and content rule behind the decision, when there is one
+    applyDisplayMode(messageElement, isAllowed, username, isListed = isAllowed, details = {}) {
+      const { exemption = null, rule = null, action = null, listedIn = null } = details;
+      const displayMode = this.getEffectiveDisplayMode();
+      const messageId = messageElement.id;
+
+      // Remove all filter classes first
+      this.removeFilterClasses(messageElement);
+
+      // Remove any existing toggle switches for messages that pass the filter
+      if (isAllowed) {
+        const existingToggle = messageElement.querySelector('.wl-message-toggle');
+        if (existingToggle) {
+          existingToggle.remove();
+        }
+      }
+
+      // If showing all temporarily, globally disabled or switched off for this channel, don't filter
+      if (['disabled', 'show-all', DISPLAY_OVERRIDE_MODES.off].includes(displayMode)) {
+        return;
+      }
+
+      // Highlight-only never filters: listed authors are decorated, everything else is left alone
+      if (displayMode === DISPLAY_OVERRIDE_MODES.highlight) {
+        messageElement.querySelector('.wl-message-toggle')?.remove();
+        if (isListed && this.whitelist.getListMode() === LIST_MODES.whitelist) {
+          messageElement.classList.add(FILTER_CLASSES.indicator);
+          this.applyHighlight(messageElement, listedIn);
+        }
+        return;
+      }
+
+      // If allowed, mark whitelisted authors (in mute list mode everyone else simply shows)
+      if (isAllowed) {
+        if (isListed) {
+          messageElement.classList.add(FILTER_CLASSES.indicator);
+        } else if (exemption === 'context') {
+          messageElement.classList.add(FILTER_CLASSES.context);
+        }
+        return;
+      }
+
+      const reason = rule ? `rule "${rule}"` : null;
+
+      // Grouped messages get no per-message toggle or dimming; the run's bar reveals them
+      if (displayMode === DISPLAY_OVERRIDE_MODES.group && action !== RULE_ACTIONS.collapse && action !== RULE_ACTIONS.hide) {
+        messageElement.classList.add(FILTER_CLASSES.grouped);
+        messageElement.querySelector('.wl-message-toggle')?.remove();
+        return;
+      }
+
+      // For filtered messages, add toggle switch
+      const toggle = new MessageToggleSwitch(messageElement, messageId);
+      toggle.create();
+
+      // Apply filtering based on mode; a rule's collapse/hide overrides the global mode
+      const hide = action === RULE_ACTIONS.hide || (action !== RULE_ACTIONS.collapse && displayMode === DISPLAY_OVERRIDE_MODES.hide);
+      if (hide) {
+        // Hard hide mode: completely remove from DOM
+        messageElement.classList.add(FILTER_CLASSES.hidden);
+      } else {
+        // Normal mode: collapse with placeholder
+        this.applyCollapseMode(messageElement, username, reason);
+      }
+    }
+
+    applyHighlight(messageElement, collectionId) {
+      const style = this.storage.getHighlightStyle();
+      const collection = this.storage.getCollection(collectionId) || this.storage.getActiveCollection();
+      const accent = collection ? collection.getAccentColor() : DEFAULT_ACCENT_COLOR;
+
+      messageElement.classList.add(FILTER_CLASSES.highlight);
+      messageElement.style.setProperty('--wl-accent', accent);
+      messageElement.style.setProperty('--wl-accent-tint', hexToRgba(accent, 0.08));
+      messageElement.setAttribute('data-wl-highlight', ['border', 'tint'].filter(part => style[part]).join(' '));
+
+      if (!style.badge) return;
+
+      // Only the first message of a group has a header to put the badge in
+      const usernameElement = Array.from(messageElement.querySelectorAll(MESSAGE_SELECTORS.authorElement))
+        .find(element => !element.closest(MESSAGE_SELECTORS.replyPreview));
+      if (usernameElement && !messageElement.querySelector('.wl-highlight-badge')) {
+        const badge = document.createElement('span');
+        badge.className = 'wl-highlight-badge';
+        badge.textContent = '★';
+        badge.title = collection ? `Listed in ${collection.name}` : 'Listed';
+        usernameElement.insertAdjacentElement('afterend', badge);
+      }
+    }
+
+    applyCollapseMode(messageElement, username, reason = null) {
+      messageElement.classList.add(FILTER_CLASSES.collapsed);
+
+      // Add click handler to expand/collapse, once per element since messages are re-filtered often.
+      // It only acts while the message is filtered; removeFilterClasses clears both states.
+      if (!this.collapseHandlers.has(messageElement)) {
+        this.collapseHandlers.add(messageElement);
+        messageElement.addEventListener('click', (e) => {
+          const { classList } = messageElement;
+          if (!classList.contains(FILTER_CLASSES.collapsed) && !classList.contains(FILTER_CLASSES.expanded)) return;
+
+          e.stopPropagation();
+          classList.toggle(FILTER_CLASSES.collapsed);
+          classList.toggle(FILTER_CLASSES.expanded);
+        });
+      }
+
+      // Add placeholder text if message is very short
+      const messageHeight = messageElement.offsetHeight;
+      if (messageHeight < 50) {
+        this.addPlaceholderText(messageElement, username, reason);
+      }
+    }
+
+    addPlaceholderText(messageElement, username, reason = null) {
+      // Check if placeholder already exists
+      if (messageElement.querySelector(`.${FILTER_CLASSES.placeholder}`)) {
+        return;
+      }
+
+      const placeholder = document.createElement('div');
+      placeholder.className = FILTER_CLASSES.placeholder;
+      if (reason) {
+        placeholder.textContent = `Message from ${username} hidden: ${reason} (click to expand)`;
+      } else {
+        placeholder.textContent = this.whitelist.getListMode() === LIST_MODES.blacklist
+          ? `Muted message from ${username} (click to expand)`
+          : `Message from ${username} (click to expand)`;
+      }
+
+      // Insert placeholder at the beginning
+      const firstChild = messageElement.firstElementChild;
+      if (firstChild) {
+        messageElement.insertBefore(placeholder, firstChild);
+      } else {
+        messageElement.appendChild(placeholder);
+      }
+    }
+
+    removeFilterClasses(messageElement) {
+      Object.values(FILTER_CLASSES).forEach(className => {
+        messageElement.classList.remove(className);
+      });
+
+      // Remove placeholder text
+      const placeholder = messageElement.querySelector(`.${FILTER_CLASSES.placeholder}`);
+      if (placeholder) {
+        placeholder.remove();
+      }
+      messageElement.classList.remove('wl-toggle-override');
+      messageElement.querySelector(':scope > .wl-group-bar')?.remove();
+      messageElement.querySelector('.wl-highlight-badge')?.remove();
+      messageElement.removeAttribute('data-wl-highlight');
+      messageElement.style.removeProperty('--wl-accent');
+      messageElement.style.removeProperty('--wl-accent-tint');
+    }
+
+    refreshAllMessages() {
+      try {
+        log('Starting refreshAllMessages...');
+
+        // Reset stats for fresh count
+        this.resetStats();
+        this.processGeneration++;
+        // Clear cache
+        this.messageCache.clear();
+        this.authorIndex.clear();
+        log('Cache cleared');
+
+        // Re-process all visible messages
+        const allMessages = document.querySelectorAll(MESSAGE_SELECTORS.messageContainer);
+        log(`Found ${allMessages.length} messages with selector "${MESSAGE_SELECTORS.messageContainer}"`);
+
+        // Debug: try alternative selectors
+        const altMessages = document.querySelectorAll('li.message');
+        log(`Found ${altMessages.length} messages with selector "li.message"`);
+
+        const anyLi = document.querySelectorAll('li');
+        log(`Found ${anyLi.length} total li elements`);
+
+        const messagesToProcess = allMessages.length > 0 ? Array.from(allMessages) : Array.from(altMessages);
+
+        if (messagesToProcess.length > 0) {
+          // Measured before the classes come off, while the layout is what the user sees
+          const { nearby, distant } = this.isEnabled() ?
+            this.observer.partitionByViewport(messagesToProcess) :
+            { nearby: [], distant: [] };
+
+          // ALWAYS clear all filter classes first to reset state
+          log(`Clearing all filter classes from ${messagesToProcess.length} messages before reprocessing`);
+          messagesToProcess.forEach(messageElement => {
+            this.removeFilterClasses(messageElement);
+          });
+
+          // If filtering is disabled, we're done after clearing
+          if (!this.isEnabled()) {
+            log(`Filtering disabled - stopped after clearing filter classes`);
+          } else {
+            log(`Reprocessing ${messagesToProcess.length} messages after clearing filter classes (${nearby.length} on screen)`);
+            this.observer.resetViewport(false);
+            // Same task as the clearing above, so on-screen messages never paint unfiltered
+            this.processMessages(nearby, nearby.length);
+            this.observer.queueMessages(distant);
+            log('Finished reprocessing messages');
+          }
+        } else {
+          log('No messages found to refresh');
+        }
+      } catch (e) {
+        console.error("[WL] Error refreshing messages:", e);
+      }
+    }
+
+    // Index keys for an author: their user ID and, since messages may only give a display name,
+    // their lowercased name (a superset of the case-sensitive match, which only costs a re-render)
+    getAuthorKeys(username, userId = null) {
+      const keys = [];
+      if (userId) keys.push(`id:${userId}`);
+      if (username) keys.push(`name:${normalizeUsername(username).toLowerCase()}`);
+      return keys;
+    }
+
+    indexMessage(messageId, authors) {
+      authors.filter(Boolean).forEach(({ username, userId }) => {
+        this.getAuthorKeys(username, userId).forEach(key => {
+          if (!this.authorIndex.has(key)) {
+            this.authorIndex.set(key, new Set());
+          }
+          this.authorIndex.get(key).add(messageId);
+        });
+      });
+    }
+
+    // Takes a cached result back out of the stats before its message is filtered again
+    uncountResult(result) {
+      if (!result) return;
+
+      if (result.isWhitelisted) this.stats.listed--;
+      if (result.exemption) this.stats.exempted--;
+      if (result.isAllowed) {
+        this.stats.whitelisted--;
+      } else {
+        this.stats.filtered--;
+      }
+    }
+
+    // Re-renders only the loaded messages that depend on one author
+    refreshAuthor(username, userId = null) {
+      if (!this.isEnabled()) return;
+
+      // Glob and regex entries match names the index can't be asked about; re-render everything
+      if (username && parseEntryPattern(username).type !== 'literal') {
+        this.refreshAllMessages();
+        return;
+      }
+
+      try {
+        const keys = this.getAuthorKeys(username, userId);
+        const messageIds = new Set();
+        keys.forEach(key => this.authorIndex.get(key)?.forEach(id => messageIds.add(id)));
+
+        const messages = [];
+        messageIds.forEach(messageId => {
+          const messageElement = document.getElementById(messageId);
+          this.uncountResult(this.messageCache.get(messageId));
+          this.messageCache.delete(messageId);
+
+          if (!messageElement) {
+            // Discord unloaded it; forget it rather than carry it around
+            keys.forEach(key => this.authorIndex.get(key)?.delete(messageId));
+            return;
+          }
+
+          this.removeFilterClasses(messageElement);
+          messages.push(messageElement);
+        });
+
+        messages.forEach(messageElement => this.filterMessage(messageElement));
+        log(`refreshAuthor: Re-rendered ${messages.length} messages for "${username}"${userId ? ` (${userId})` : ''}`);
+
+        if (this.getEffectiveDisplayMode() === DISPLAY_OVERRIDE_MODES.group) {
+          this.groups.scheduleUpdate();
+        }
+
+        eventBus.emit('filter:stats_updated', this.getStats());
+      } catch (e) {
+        console.error("[WL] Error refreshing author messages:", e);
+        this.refreshAllMessages();
+      }
+    }
+
+    clearAllFiltering() {
+      try {
+        const allMessages = document.querySelectorAll(MESSAGE_SELECTORS.messageContainer);
+        allMessages.forEach(message => {
+          this.removeFilterClasses(message);
+          // Also remove toggle switches when clearing all filtering
+          const toggle = message.querySelector('.wl-message-toggle');
+          if (toggle) {
+            toggle.remove();
+          }
+        });
+        // Revealed messages stay remembered; only the switches go
+        MessageToggleSwitch.removeAllSwitches();
+        log("Cleared all message filtering and toggle switches");
+      } catch (e) {
+        console.error("[WL] Error clearing filtering:", e);
+      }
+    }
+
+    isEnabled() {
+      return this.storage.config.globalSettings.enabled;
+    }
+
+    getStats() {
+      return { ...this.stats, mode: this.whitelist.getListMode() };
+    }
+
+    resetStats() {
+      this.stats = {
+        processed: 0,
+        filtered: 0,
+        whitelisted: 0,
+        listed: 0,
+        exempted: 0
+      };
+    }
+  }
+
+  // --- Message Toggle Switch for individual message visibility control ---
+  class MessageToggleSwitch {
+    constructor(messageElement, messageId) {
+      this.messageElement = messageElement;
+      this.messageId = messageId;
+      this.isVisible = false; // Default OFF (message follows whitelist filter)
+      this.switchElement = null;
+    }
+
+    // Revealed messages are remembered through StorageManager; set when the system starts
+    static storage = null;
+
+    create() {
+      // Check if switch already exists
+      if (this.messageElement.querySelector('.wl-message-toggle')) {
+        return;
+      }
+
+      // Create toggle switch element
+      const toggleSwitch = document.createElement('div');
+      toggleSwitch.className = 'wl-message-toggle';
+      toggleSwitch.setAttribute('role', 'switch');
+      toggleSwitch.setAttribute('aria-checked', 'false');
+      toggleSwitch.setAttribute('aria-label', 'Show this message');
+      toggleSwitch.title = 'Toggle message visibility';
+
+      // Check if we have a saved state for this message
+      this.isVisible = MessageToggleSwitch.getToggleState(this.messageId);
+      if (this.isVisible) {
+        toggleSwitch.classList.add('active');
+        toggleSwitch.setAttribute('aria-checked', 'true');
+      }
+
+      // Add click event handler
+      toggleSwitch.addEventListener('click', (e) => {
+        e.stopPropagation();
+        e.preventDefault();
+        this.toggle();
+      });
+
+      // Add keyboard support
+      toggleSwitch.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          e.stopPropagation();
+          this.toggle();
+        }
+      });
+
+      // Make it focusable
+      toggleSwitch.tabIndex = 0;
+
+      // Store reference
+      this.switchElement = toggleSwitch;
+
+      // Add to message element
+      this.messageElement.style.position = 'relative';
+      this.messageElement.appendChild(toggleSwitch);
+    }
+
+    toggle() {
+      this.isVisible = !this.isVisible;
+      MessageToggleSwitch.setToggleState(this.messageId, this.isVisible, this.messageElement);
+      this.updateDisplay();
+    }
+
+    updateDisplay() {
+      if (!this.switchElement) return;
+
+      if (this.isVisible) {
+        // Toggle ON - show message regardless of filter
+        this.switchElement.classList.add('active');
+        this.switchElement.setAttribute('aria-checked', 'true');
+        this.showMessage();
+      } else {
+        // Toggle OFF - let filter decide visibility
+        this.switchElement.classList.remove('active');
+        this.switchElement.setAttribute('aria-checked', 'false');
+        // Trigger re-filtering for this message
+        if (window.filterEngine) {
+          window.filterEngine.filterMessage(this.messageElement);
+        }
+      }
+    }
+
+    showMessage() {
+      // Remove all filter classes to show the message
+      Object.values(FILTER_CLASSES).forEach(className => {
+        this.messageElement.classList.remove(className);
+      });
+
+      // Add special class to indicate manual override
+      this.messageElement.classList.add('wl-toggle-override');
+
+      // Remove placeholder if exists
+      const placeholder = this.messageElement.querySelector(`.${FILTER_CLASSES.placeholder}`);
+      if (placeholder) {
+        placeholder.remove();
+      }
+    }
+
+    remove() {
+      if (this.switchElement) {
+        this.switchElement.remove();
+        this.switchElement = null;
+      }
+      MessageToggleSwitch.setToggleState(this.messageId, false);
+    }
+
+    static getToggleState(messageId) {
+      return MessageToggleSwitch.storage?.hasToggleOverride(messageId) || false;
+    }
+
+    // Remembers what the panel needs to list the message and link back to it
+    static setToggleState(messageId, visible, messageElement = null) {
+      if (!MessageToggleSwitch.storage) return false;
+      if (!visible) {
+        return MessageToggleSwitch.storage.setToggleOverride(messageId, false);
+      }
+
+      const { guildId, channelId } = parseDiscordRoute();
+      const cached = window.filterEngine?.messageCache.get(messageId);
+      const content = messageElement?.querySelector(MESSAGE_SELECTORS.messageContent)?.textContent || '';
+      return MessageToggleSwitch.storage.setToggleOverride(messageId, true, {
+        guildId,
+        channelId,
+        username: cached?.username || null,
+        preview: content.trim().slice(0, 80),
+      });
+    }
+
+    // Re-runs the filter on a loaded message after its override changed elsewhere (panel, API)
+    static refresh(messageId) {
+      const messageElement = document.getElementById(messageId);
+      if (!messageElement) return;
+
+      messageElement.querySelector('.wl-message-toggle')?.remove();
+      window.filterEngine?.filterMessage(messageElement);
+    }
+
+    static removeAllSwitches() {
+      document.querySelectorAll('.wl-message-toggle').forEach(toggle => {
+        toggle.remove();
       });
     }
+
+    static clearAllToggles() {
+      const removed = MessageToggleSwitch.storage?.clearToggleOverrides() || [];
+      // Remove all toggle switches from DOM
+      MessageToggleSwitch.removeAllSwitches();
+      removed.forEach(messageId => MessageToggleSwitch.refresh(messageId));
+    }
   }
 
   // --- Initialize System ---
   const storageManager = new StorageManager();
+  const selectorPacks = new SelectorPackManager(storageManager);
+  selectorPacks.load();
   const whitelistManager = new WhitelistManager(storageManager);
   const searchManager = new SearchManager(whitelistManager);
   const dataManager = new DataManager(storageManager);
   const filterEngine = new FilterEngine(whitelistManager, storageManager);
+  const routeWatcher = new RouteWatcher();
+  const expiryScheduler = new ExpiryScheduler(whitelistManager);
+  const crossTabSync = new CrossTabSync(storageManager);
+  const backupManager = new BackupManager(storageManager);
+  storageManager.backups = backupManager;
+  const selectorHealth = new SelectorHealthCheck(filterEngine, selectorPacks);
 
   // Expose filterEngine globally for toggle switches
   window.filterEngine = filterEngine;
+  MessageToggleSwitch.storage = storageManager;
 
   // Handle collection switches
   eventBus.on('collection:switched', () => {
     whitelistManager.rebuildLookupCache();
   });
+  eventBus.on('collection:combination_changed', () => {
+    whitelistManager.rebuildLookupCache();
+  });
+  eventBus.on('whitelist:imported', () => {
+    whitelistManager.rebuildLookupCache();
+  });
+  eventBus.on('storage:ready', () => {
+    whitelistManager.rebuildLookupCache();
+  });
+  eventBus.on('storage:synced', () => {
+    whitelistManager.rebuildLookupCache();
+  });
+  eventBus.on('backup:restored', () => {
+    whitelistManager.rebuildLookupCache();
+  });
+  eventBus.on('history:applied', () => {
+    whitelistManager.rebuildLookupCache();
+  });
+
+  // Activate server/channel scoped collections on navigation
+  eventBus.on('route:changed', ({ route }) => {
+    storageManager.applyRoute(route);
+  });
 
   // Initialize filtering when DOM is ready
   function initializeFiltering() {
@@ -1849,13 +5809,24 @@
         const activeCollection = storageManager.getActiveCollection();
         if (activeCollection) {
           activeCollection.clear();
+          const limitRejected = [];
           partial.whitelist.forEach(username => {
             try {
+              if (!activeCollection.hasEntry(username)) {
+                storageManager.assertCapacity(activeCollection);
+              }
               activeCollection.addEntry(username, { source: 'legacy_api' });
             } catch (e) {
+              if (e instanceof EntryLimitError) {
+                limitRejected.push(username);
+                return;
+              }
               log("Failed to add username via legacy API:", username, e);
             }
           });
+          if (limitRejected.length > 0) {
+            storageManager.reportLimitReached(activeCollection, limitRejected);
+          }
           storageManager.saveCollections();
           whitelistManager.rebuildLookupCache();
         }
@@ -1900,10 +5871,13 @@
 
   // --- UI Manager for Discord Integration ---
   class UIManager {
-    constructor(whitelistManager, filterEngine, storageManager) {
+    constructor(whitelistManager, filterEngine, storageManager, selectorPacks, selectorHealth, backupManager) {
       this.whitelistManager = whitelistManager;
       this.filterEngine = filterEngine;
       this.storageManager = storageManager;
+      this.selectorPacks = selectorPacks;
+      this.selectorHealth = selectorHealth;
+      this.backupManager = backupManager;
       this.panel = null;
       this.isVisible = false;
       this.position = { x: 20, y: 20 };
@@ -1934,6 +5908,7 @@
         this.activeCollectionId = data.to;
         this.updateCollectionSelector();
         this.updateWhitelistDisplay();
+        this.updateRulesDisplay();
         this.updateStats();
         this.clearUnsavedChanges();
       });
@@ -1946,12 +5921,69 @@
         this.updateCollectionSelector();
       });
 
+      eventBus.on('collection:scope_updated', () => {
+        this.updateCollectionSelector();
+      });
+
+      eventBus.on('collection:combination_changed', () => {
+        this.updateCollectionInfo();
+        this.updateStats();
+      });
+
+      eventBus.on('collection:case_changed', () => {
+        this.updateWhitelistDisplay();
+        this.updateCollectionSelector();
+        this.updateStats();
+      });
+
+      eventBus.on('whitelist:limit_reached', (data) => {
+        this.showLimitWarning(data);
+      });
+
+      eventBus.on('collection:mode_changed', () => {
+        this.updateCollectionInfo();
+        this.updateFilterStatus();
+        this.updateStats();
+      });
+
+      eventBus.on('route:changed', () => {
+        this.updateCollectionInfo();
+        this.updateFilterStatus();
+      });
+
+      eventBus.on('filter:exemptions_changed', () => {
+        this.updateFilterStatus();
+      });
+
+      eventBus.on('filter:display_override_changed', () => {
+        this.updateFilterStatus();
+      });
+
+      eventBus.on('filter:highlight_changed', () => {
+        this.updateFilterStatus();
+      });
+
+      eventBus.on('collection:accent_changed', () => {
+        this.updateCollectionInfo();
+      });
+
+      eventBus.on('collection:rules_changed', () => {
+        this.updateRulesDisplay();
+      });
+
       // Listen for whitelist changes to update collection counts
       eventBus.on('whitelist:user_added', () => {
         this.updateCollectionSelector();
+        this.updateTemporaryList();
       });
-      eventBus.on('whitelist:user_removed', () => {
+      eventBus.on('whitelist:user_removed', ({ reason }) => {
         this.updateCollectionSelector();
+        // Expiry happens in the background; keep the editor in step unless the user is mid-edit
+        if (reason === 'expired' && !this.hasUnsavedChanges) {
+          this.updateWhitelistDisplay();
+        } else {
+          this.updateTemporaryList();
+        }
       });
       eventBus.on('whitelist:cleared', () => {
         this.updateCollectionSelector();
@@ -1959,11 +5991,79 @@
       eventBus.on('whitelist:bulk_update', () => {
         this.updateCollectionSelector();
       });
+      eventBus.on('whitelist:imported', () => {
+        this.updateCollectionSelector();
+        this.updateRulesDisplay();
+      });
+      // Collections loaded from IndexedDB replace the ones the panel was first drawn with
+      eventBus.on('storage:ready', () => {
+        this.activeCollectionId = this.storageManager.getActiveCollection()?.id;
+        this.updateCollectionSelector();
+        this.updateWhitelistDisplay();
+        this.updateRulesDisplay();
+        this.updateTemporaryList();
+        this.updateStats();
+      });
+      // Changes from another tab; an edit in progress here is left alone
+      eventBus.on('storage:synced', () => {
+        this.activeCollectionId = this.storageManager.getActiveCollection()?.id;
+        this.updateCollectionSelector();
+        this.updateCollectionInfo();
+        this.updateFilterStatus();
+        if (!this.hasUnsavedChanges) {
+          this.updateWhitelistDisplay();
+          this.updateRulesDisplay();
+        }
+        this.updateTemporaryList();
+        this.updateStats();
+      });
 
       // Listen for filter stats updates
       eventBus.on('filter:stats_updated', () => {
         this.updateStats();
       });
+
+      eventBus.on('toggle:overrides_changed', () => {
+        this.updateRevealedMessages();
+      });
+
+      ['backup:created', 'backup:deleted', 'backup:settings_changed', 'storage:ready'].forEach(event => {
+        eventBus.on(event, () => this.updateBackups());
+      });
+      eventBus.on('history:changed', () => {
+        this.updateHistoryButtons();
+      });
+      eventBus.on('history:applied', () => {
+        this.updateCollectionSelector();
+        this.updateWhitelistDisplay();
+        this.updateRulesDisplay();
+        this.updateTemporaryList();
+        this.updateStats();
+        this.clearUnsavedChanges();
+      });
+
+      // Everything the panel shows may have changed
+      eventBus.on('backup:restored', () => {
+        this.activeCollectionId = this.storageManager.getActiveCollection()?.id;
+        this.updateCollectionSelector();
+        this.updateCollectionInfo();
+        this.updateWhitelistDisplay();
+        this.updateRulesDisplay();
+        this.updateFilterStatus();
+        this.updateTemporaryList();
+        this.updateStats();
+        this.clearUnsavedChanges();
+      });
+
+      eventBus.on('selectors:pack_changed', () => {
+        this.updateSelectorStatus();
+      });
+      eventBus.on('storage:read_only', () => {
+        this.updateSchemaWarning();
+      });
+      eventBus.on('selectors:health_checked', () => {
+        this.updateSelectorStatus();
+      });
     }
 
     createPanel() {
@@ -1971,6 +6071,8 @@
 
       this.panel = document.createElement('div');
       this.panel.className = 'wl-panel-container';
+      // Focusable, so Ctrl+Z / Ctrl+Y reach it after a click anywhere in the panel
+      this.panel.tabIndex = -1;
       this.panel.innerHTML = `
         <div class="wl-panel-header">
           <div class="wl-panel-title">
@@ -1987,6 +6089,12 @@
         </div>
 
         <div class="wl-panel-content">
+          <div class="wl-schema-warning" style="display: none;"></div>
+          <div class="wl-selector-warning" style="display: none;">
+            ⚠️ Message authors can't be read in this channel, so filtering is not working.
+            Discord's layout may have changed; load an updated selector pack under "Selector Pack".
+          </div>
+
           <!-- Collection Management Section -->
           <div class="wl-panel-section wl-collection-section">
             <div class="wl-section-header">
@@ -1997,19 +6105,53 @@
               <div class="wl-collection-info">
                 <span class="wl-collection-name"></span>
                 <span class="wl-collection-meta"></span>
+                <span class="wl-collection-scope"></span>
               </div>
               <div class="wl-collection-actions">
                 <button class="wl-btn wl-btn-small wl-new-collection">New Collection</button>
                 <button class="wl-btn wl-btn-small wl-rename-collection">Rename</button>
                 <button class="wl-btn wl-btn-small wl-delete-collection">Delete</button>
               </div>
+              <label class="wl-toggle wl-case-row">
+                <input type="checkbox" class="wl-case-sensitive">
+                <span class="wl-toggle-slider"></span>
+                <span class="wl-toggle-label">Case-sensitive names</span>
+              </label>
+              <div class="wl-display-modes wl-accent-row">
+                <label>Highlight colour:</label>
+                <input type="color" class="wl-accent-color" value="${DEFAULT_ACCENT_COLOR}">
+              </div>
+              <div class="wl-display-modes wl-list-mode-row">
+                <label>List Mode:</label>
+                <select class="wl-list-mode">
+                  <option value="whitelist">Whitelist (show only listed)</option>
+                  <option value="blacklist">Mute list (hide listed)</option>
+                </select>
+              </div>
+              <div class="wl-combine">
+                <div class="wl-display-modes">
+                  <label>Combine:</label>
+                  <select class="wl-combine-mode">
+                    <option value="single">Off (this collection only)</option>
+                    <option value="union">Union (in any list)</option>
+                    <option value="intersection">Intersection (in every list)</option>
+                    <option value="exclusion">Exclusion (this minus others)</option>
+                  </select>
+                </div>
+                <div class="wl-combine-list"></div>
+              </div>
+              <div class="wl-collection-actions wl-scope-actions">
+                <button class="wl-btn wl-btn-small wl-btn-secondary wl-scope-guild" title="Activate this collection automatically in the current server">Bind Server</button>
+                <button class="wl-btn wl-btn-small wl-btn-secondary wl-scope-channel" title="Activate this collection automatically in the current channel">Bind Channel</button>
+                <button class="wl-btn wl-btn-small wl-btn-secondary wl-scope-clear" title="Use this collection everywhere">Clear Scope</button>
+              </div>
             </div>
           </div>
 
           <!-- Whitelist Editor Section -->
           <div class="wl-panel-section">
             <div class="wl-section-header">
-              <h3>Whitelist Editor</h3>
+              <h3 class="wl-editor-title">Whitelist Editor</h3>
               <span class="wl-unsaved-indicator" style="display: none;">●</span>
             </div>
             <div class="wl-section-content">
@@ -2018,14 +6160,53 @@
                 placeholder="Enter usernames (one per line)..."
                 rows="8"
               ></textarea>
+              <div class="wl-pattern-summary" style="display: none;"></div>
               <div class="wl-editor-info">
                 <span class="wl-line-count">0 users</span>
                 <span class="wl-entry-limit"></span>
               </div>
+              <div class="wl-temporary">
+                <label>Temporary access:</label>
+                <div class="wl-temporary-form">
+                  <input type="text" class="wl-temporary-username" placeholder="Username">
+                  <input type="number" class="wl-temporary-amount" min="1" value="24">
+                  <select class="wl-temporary-unit">
+                    <option value="60000">minutes</option>
+                    <option value="3600000" selected>hours</option>
+                    <option value="86400000">days</option>
+                  </select>
+                  <button class="wl-btn wl-btn-small wl-temporary-add">Add</button>
+                </div>
+                <div class="wl-temporary-list"></div>
+              </div>
               <div class="wl-editor-actions">
                 <button class="wl-btn wl-save-changes">Save Changes</button>
                 <button class="wl-btn wl-btn-secondary wl-clear-collection">Clear All</button>
               </div>
+              <div class="wl-editor-actions">
+                <button class="wl-btn wl-btn-small wl-btn-secondary wl-history-undo" title="Undo (Ctrl+Z)">↶ Undo</button>
+                <button class="wl-btn wl-btn-small wl-btn-secondary wl-history-redo" title="Redo (Ctrl+Y)">↷ Redo</button>
+              </div>
+            </div>
+          </div>
+
+          <!-- Filter Rules Section -->
+          <div class="wl-panel-section">
+            <div class="wl-section-header">
+              <h3>Filter Rules</h3>
+            </div>
+            <div class="wl-section-content">
+              <textarea
+                class="wl-rules-editor"
+                placeholder="author in list AND channel = #releases -> show&#10;has attachment -> collapse&#10;role = Bot -> hide&#10;content matches /spoiler/i -> hide&#10;default -> list"
+                rows="5"
+              ></textarea>
+              <div class="wl-editor-info">
+                <span class="wl-rules-info" title="Conditions: author in list, author = name, channel = #name, server = id, role = name, has attachment|embed|link|mention, is reply, content contains text, content matches /regex/ (prefix with &quot;not&quot; to negate). Actions: show, collapse, hide, list.">First matching rule wins; unmatched messages use "default" (list = whitelist/mute list)</span>
+              </div>
+              <div class="wl-editor-actions">
+                <button class="wl-btn wl-save-rules">Save Rules</button>
+              </div>
             </div>
           </div>
 
@@ -2046,16 +6227,77 @@
                   <label>Display Mode:</label>
                   <select class="wl-display-mode">
                     <option value="normal">Normal (Collapse)</option>
+                    <option value="grouped">Group Hidden Messages</option>
+                    <option value="highlight">Highlight Only</option>
                     <option value="hard-hide">Hard Hide</option>
                     <option value="show-all">Show All</option>
                   </select>
                 </div>
 
+                <div class="wl-highlight-style">
+                  <label>Highlight:</label>
+                  <label class="wl-exemption-item"><input type="checkbox" class="wl-highlight-border"><span>Border</span></label>
+                  <label class="wl-exemption-item"><input type="checkbox" class="wl-highlight-tint"><span>Tint</span></label>
+                  <label class="wl-exemption-item"><input type="checkbox" class="wl-highlight-badge-toggle"><span>Badge</span></label>
+                </div>
+
+                <div class="wl-display-modes">
+                  <label>This channel:</label>
+                  <select class="wl-channel-override">
+                    <option value="">Default</option>
+                    <option value="off">Off</option>
+                    <option value="collapse">Collapse</option>
+                    <option value="group">Group</option>
+                    <option value="highlight">Highlight</option>
+                    <option value="hide">Hide</option>
+                  </select>
+                </div>
+
+                <div class="wl-display-modes">
+                  <label>This server:</label>
+                  <select class="wl-server-override">
+                    <option value="">Default</option>
+                    <option value="off">Off</option>
+                    <option value="collapse">Collapse</option>
+                    <option value="group">Group</option>
+                    <option value="highlight">Highlight</option>
+                    <option value="hide">Hide</option>
+                  </select>
+                </div>
+
+                <div class="wl-override-list"></div>
+
+                <div class="wl-display-modes">
+                  <label>Filter ahead:</label>
+                  <input type="number" class="wl-viewport-margin" min="0" step="100">
+                  <span>px beyond the visible chat</span>
+                </div>
+
                 <label class="wl-toggle">
                   <input type="checkbox" class="wl-temp-override">
                   <span class="wl-toggle-slider"></span>
                   <span class="wl-toggle-label">Temporary Override</span>
                 </label>
+
+                <div class="wl-exemptions">
+                  <label>Always show:</label>
+                  <label class="wl-exemption-item">
+                    <input type="checkbox" class="wl-exempt-mentions">
+                    <span>Messages mentioning me</span>
+                  </label>
+                  <label class="wl-exemption-item">
+                    <input type="checkbox" class="wl-exempt-replies">
+                    <span>Replies to me</span>
+                  </label>
+                  <label class="wl-exemption-item">
+                    <input type="checkbox" class="wl-exempt-own-threads">
+                    <span>Threads I started</span>
+                  </label>
+                  <label class="wl-exemption-item" title="Replies from unlisted users to listed users, shown dimmed">
+                    <input type="checkbox" class="wl-exempt-context">
+                    <span>Replies to listed users (dimmed)</span>
+                  </label>
+                </div>
               </div>
 
               <div class="wl-filter-status">
@@ -2065,6 +6307,73 @@
             </div>
           </div>
 
+          <!-- Revealed Messages Section -->
+          <div class="wl-panel-section">
+            <div class="wl-section-header">
+              <h3>Revealed Messages <span class="wl-revealed-count"></span></h3>
+            </div>
+            <div class="wl-section-content">
+              <div class="wl-revealed-list"></div>
+              <div class="wl-display-modes">
+                <label>Keep at most:</label>
+                <input type="number" class="wl-revealed-input wl-revealed-max" min="1" step="50">
+              </div>
+              <div class="wl-display-modes">
+                <label>Forget after:</label>
+                <input type="number" class="wl-revealed-input wl-revealed-age" min="0">
+                <span>days (0 = never)</span>
+              </div>
+              <div class="wl-editor-actions">
+                <button class="wl-btn wl-btn-small wl-revealed-clear">Forget All</button>
+              </div>
+            </div>
+          </div>
+
+          <!-- Backups Section -->
+          <div class="wl-panel-section">
+            <div class="wl-section-header">
+              <h3>Backups</h3>
+            </div>
+            <div class="wl-section-content">
+              <div class="wl-backup-list"></div>
+              <div class="wl-exemption-options">
+                <label class="wl-exemption-item" title="Snapshot before clearing, deleting, importing or editor saves that drop entries, and after changes settle">
+                  <input type="checkbox" class="wl-backup-auto">
+                  <span>Back up automatically</span>
+                </label>
+              </div>
+              <div class="wl-display-modes">
+                <label>Keep at most:</label>
+                <input type="number" class="wl-revealed-input wl-backup-max" min="1">
+                <span title="Scheduled backups and the others (manual, before changes) are counted separately">backups of each kind</span>
+              </div>
+              <div class="wl-editor-actions">
+                <button class="wl-btn wl-btn-small wl-backup-now">Back Up Now</button>
+              </div>
+            </div>
+          </div>
+
+          <!-- Selector Pack Section -->
+          <div class="wl-panel-section">
+            <div class="wl-section-header">
+              <h3>Selector Pack</h3>
+            </div>
+            <div class="wl-section-content">
+              <div class="wl-selector-info"></div>
+              <div class="wl-selector-health"></div>
+              <div class="wl-temporary-form">
+                <input type="text" class="wl-selector-url" placeholder="https://.../selectors.json">
+                <button class="wl-btn wl-btn-small wl-selector-load-url">Load URL</button>
+              </div>
+              <div class="wl-editor-actions">
+                <button class="wl-btn wl-btn-small wl-selector-load-file">Load File…</button>
+                <button class="wl-btn wl-btn-small wl-selector-check">Check Now</button>
+                <button class="wl-btn wl-btn-small wl-selector-reset">Use Built-in</button>
+                <input type="file" class="wl-selector-file" accept=".json,application/json" style="display: none;">
+              </div>
+            </div>
+          </div>
+
           <!-- Statistics Section -->
           <div class="wl-panel-section">
             <div class="wl-section-header">
@@ -2077,13 +6386,21 @@
                   <span class="wl-stat-value wl-current-collection">-</span>
                 </div>
                 <div class="wl-stat-item">
-                  <span class="wl-stat-label">Users:</span>
+                  <span class="wl-stat-label wl-user-count-label">Users:</span>
                   <span class="wl-stat-value wl-user-count">0</span>
                 </div>
+                <div class="wl-stat-item">
+                  <span class="wl-stat-label">List Mode:</span>
+                  <span class="wl-stat-value wl-list-mode-value">Whitelist</span>
+                </div>
                 <div class="wl-stat-item">
                   <span class="wl-stat-label">Messages Filtered:</span>
                   <span class="wl-stat-value wl-filtered-count">0</span>
                 </div>
+                <div class="wl-stat-item">
+                  <span class="wl-stat-label">Shown as Exempt:</span>
+                  <span class="wl-stat-value wl-exempted-count">0</span>
+                </div>
                 <div class="wl-stat-item">
                   <span class="wl-stat-label">Total Collections:</span>
                   <span class="wl-stat-value wl-collection-count">0</span>
@@ -2121,8 +6438,14 @@
       // Initialize state
       this.updateCollectionSelector();
       this.updateWhitelistDisplay();
+      this.updateRulesDisplay();
       this.updateFilterStatus();
       this.updateStats();
+      this.updateSelectorStatus();
+      this.updateSchemaWarning();
+      this.updateRevealedMessages();
+      this.updateBackups();
+      this.updateHistoryButtons();
     }
 
     bindEvents() {
@@ -2173,12 +6496,86 @@
       safeAddEventListener('.wl-rename-collection', 'click', () => this.renameCollection(), '(rename collection button)');
       safeAddEventListener('.wl-delete-collection', 'click', () => this.deleteCollection(), '(delete collection button)');
 
+      // Collection scope
+      safeAddEventListener('.wl-list-mode', 'change', (e) => this.handleListModeChange(e.target.value), '(list mode selector)');
+      safeAddEventListener('.wl-case-sensitive', 'change', (e) => this.handleCaseSensitiveChange(e.target.checked), '(case sensitivity toggle)');
+
+      safeAddEventListener('.wl-revealed-list', 'click', (e) => {
+        const remove = e.target.closest('.wl-revealed-remove');
+        if (remove) {
+          MessageToggleSwitch.setToggleState(remove.dataset.id, false);
+          MessageToggleSwitch.refresh(remove.dataset.id);
+          return;
+        }
+
+        // Loaded messages are scrolled to; others are opened through Discord's message link
+        const link = e.target.closest('.wl-revealed-link');
+        const messageElement = link && document.getElementById(link.dataset.id);
+        if (messageElement) {
+          e.preventDefault();
+          messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+      }, '(revealed message list)');
+      safeAddEventListener('.wl-revealed-max', 'change', (e) => this.handleToggleOverrideSettings({ maxEntries: parseInt(e.target.value, 10) }), '(revealed message limit)');
+      safeAddEventListener('.wl-revealed-age', 'change', (e) => this.handleToggleOverrideSettings({ maxAgeDays: parseInt(e.target.value, 10) }), '(revealed message age)');
+      safeAddEventListener('.wl-revealed-clear', 'click', () => {
+        const count = this.storageManager.getToggleOverrides().length;
+        if (count > 0 && confirm(`Forget all ${count} revealed messages? They will be filtered again.`)) {
+          MessageToggleSwitch.clearAllToggles();
+        }
+      }, '(forget revealed messages button)');
+
+      safeAddEventListener('.wl-backup-list', 'click', (e) => {
+        const restore = e.target.closest('.wl-backup-restore');
+        if (restore) {
+          this.restoreBackup(restore.dataset.id, restore.dataset.label);
+          return;
+        }
+        const remove = e.target.closest('.wl-backup-delete');
+        if (remove) {
+          this.backupManager.delete(remove.dataset.id)
+            .catch(error => this.showError('Failed to delete backup: ' + error.message));
+        }
+      }, '(backup list)');
+      safeAddEventListener('.wl-backup-auto', 'change', (e) => this.handleBackupSettings({ autoBackup: e.target.checked }), '(automatic backup toggle)');
+      safeAddEventListener('.wl-backup-max', 'change', (e) => this.handleBackupSettings({ maxBackups: parseInt(e.target.value, 10) }), '(backup limit)');
+      safeAddEventListener('.wl-backup-now', 'click', () => this.backupManager.create(), '(back up now button)');
+
+      safeAddEventListener('.wl-selector-load-url', 'click', () => this.loadSelectorPackFromUrl(), '(selector pack URL button)');
+      safeAddEventListener('.wl-selector-load-file', 'click', () => this.panel.querySelector('.wl-selector-file').click(), '(selector pack file button)');
+      safeAddEventListener('.wl-selector-file', 'change', (e) => this.loadSelectorPackFromFile(e.target), '(selector pack file input)');
+      safeAddEventListener('.wl-selector-check', 'click', () => this.selectorHealth.check(), '(selector check button)');
+      safeAddEventListener('.wl-selector-reset', 'click', () => {
+        if (this.selectorPacks.getInfo().source === 'builtin') return;
+        if (confirm('Go back to the built-in selectors?')) {
+          this.selectorPacks.reset();
+        }
+      }, '(selector reset button)');
+      safeAddEventListener('.wl-accent-color', 'change', (e) => {
+        try {
+          this.whitelistManager.setAccentColor(e.target.value);
+        } catch (error) {
+          console.error('[WL] Accent colour change failed:', error);
+          this.showError('Failed to change highlight colour: ' + error.message);
+          this.updateCollectionInfo();
+        }
+      }, '(highlight colour picker)');
+      safeAddEventListener('.wl-combine-mode', 'change', (e) => this.handleCombinationChange({ mode: e.target.value }), '(combine mode selector)');
+      safeAddEventListener('.wl-combine-list', 'change', () => this.handleCombinationChange({
+        collections: Array.from(this.panel.querySelectorAll('.wl-combine-list input:checked')).map(input => input.value)
+      }), '(combined collections list)');
+      safeAddEventListener('.wl-scope-guild', 'click', () => this.toggleScope('guild'), '(bind server button)');
+      safeAddEventListener('.wl-scope-channel', 'click', () => this.toggleScope('channel'), '(bind channel button)');
+      safeAddEventListener('.wl-scope-clear', 'click', () => this.clearScope(), '(clear scope button)');
+
       // Whitelist editor
       safeAddEventListener('.wl-whitelist-editor', 'input', () => this.handleWhitelistChange(), '(whitelist editor)');
 
       // Editor actions
       safeAddEventListener('.wl-save-changes', 'click', () => this.saveChanges(), '(save changes button)');
+      safeAddEventListener('.wl-temporary-add', 'click', () => this.addTemporaryUser(), '(temporary access button)');
       safeAddEventListener('.wl-clear-collection', 'click', () => this.clearCurrentCollection(), '(clear collection button)');
+      safeAddEventListener('.wl-save-rules', 'click', () => this.saveRules(), '(save rules button)');
 
       // Filter controls
       safeAddEventListener('.wl-master-enable', 'change', (e) => {
@@ -2193,6 +6590,8 @@
         const mode = e.target.value;
         this.storageManager.config.globalSettings.hardHide = mode === 'hard-hide';
         this.storageManager.config.globalSettings.showAllTemp = mode === 'show-all';
+        this.storageManager.config.globalSettings.groupHidden = mode === 'grouped';
+        this.storageManager.config.globalSettings.highlightOnly = mode === 'highlight';
         this.storageManager.saveConfig();
         this.updateFilterStatus();
         // Always refresh when display mode changes to apply new visibility settings
@@ -2207,6 +6606,45 @@
         this.filterEngine.refreshAllMessages();
       }, '(temporary override checkbox)');
 
+      safeAddEventListener('.wl-channel-override', 'change', (e) => this.handleDisplayOverrideChange('channel', e.target.value), '(channel override selector)');
+      safeAddEventListener('.wl-server-override', 'change', (e) => this.handleDisplayOverrideChange('server', e.target.value), '(server override selector)');
+      safeAddEventListener('.wl-override-list', 'click', (e) => {
+        const button = e.target.closest('.wl-override-remove');
+        if (button) {
+          this.handleDisplayOverrideChange(button.dataset.scope, '', button.dataset.id);
+        }
+      }, '(override list)');
+
+      safeAddEventListener('.wl-viewport-margin', 'change', (e) => {
+        try {
+          this.storageManager.setViewportMargin(e.target.value);
+        } catch (error) {
+          console.error('[WL] Viewport margin change failed:', error);
+          this.showError('Failed to change viewport margin: ' + error.message);
+          e.target.value = this.storageManager.getViewportMargin();
+        }
+      }, '(viewport margin input)');
+
+      safeAddEventListener('.wl-highlight-border', 'change', (e) => this.storageManager.setHighlightStyle({ border: e.target.checked }), '(highlight border checkbox)');
+      safeAddEventListener('.wl-highlight-tint', 'change', (e) => this.storageManager.setHighlightStyle({ tint: e.target.checked }), '(highlight tint checkbox)');
+      safeAddEventListener('.wl-highlight-badge-toggle', 'change', (e) => this.storageManager.setHighlightStyle({ badge: e.target.checked }), '(highlight badge checkbox)');
+
+      safeAddEventListener('.wl-exempt-mentions', 'change', (e) => {
+        this.storageManager.setExemptions({ mentions: e.target.checked });
+      }, '(mention exemption checkbox)');
+
+      safeAddEventListener('.wl-exempt-replies', 'change', (e) => {
+        this.storageManager.setExemptions({ replies: e.target.checked });
+      }, '(reply exemption checkbox)');
+
+      safeAddEventListener('.wl-exempt-own-threads', 'change', (e) => {
+        this.storageManager.setExemptions({ ownThreads: e.target.checked });
+      }, '(own thread exemption checkbox)');
+
+      safeAddEventListener('.wl-exempt-context', 'change', (e) => {
+        this.storageManager.setExemptions({ conversationContext: e.target.checked });
+      }, '(conversation context checkbox)');
+
       // Section toggles
       const sectionToggles = this.panel.querySelectorAll('.wl-section-toggle');
       if (sectionToggles.length > 0) {
@@ -2235,6 +6673,23 @@
           this.togglePanel();
         }
       });
+
+      safeAddEventListener('.wl-history-undo', 'click', () => this.undo(), '(undo button)');
+      safeAddEventListener('.wl-history-redo', 'click', () => this.redo(), '(redo button)');
+      // List undo/redo inside the panel; text fields keep their own typing undo
+      this.panel.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.target.closest('textarea, input[type="text"], input[type="number"], input:not([type])')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          this.undo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+          e.preventDefault();
+          this.redo();
+        }
+      });
     }
 
     // Panel visibility management
@@ -2350,7 +6805,7 @@
       collections.forEach(collection => {
         const option = document.createElement('option');
         option.value = collection.id;
-        option.textContent = `${collection.name} (${collection.getSize()})`;
+        option.textContent = `${collection.isScoped() ? '📍 ' : ''}${collection.name} (${collection.getSize()})`;
         if (collection.id === this.activeCollectionId) {
           option.selected = true;
         }
@@ -2374,6 +6829,179 @@
       const isDefault = collection.id === 'default';
       this.panel.querySelector('.wl-rename-collection').disabled = isDefault;
       this.panel.querySelector('.wl-delete-collection').disabled = isDefault;
+
+      this.updateScopeInfo(collection);
+      this.updateListModeInfo(collection);
+      this.panel.querySelector('.wl-case-sensitive').checked = collection.isCaseSensitive();
+      this.panel.querySelector('.wl-accent-color').value = collection.getAccentColor();
+      this.updateCombinationInfo(collection);
+    }
+
+    updateCombinationInfo(collection) {
+      const { mode, collections } = this.storageManager.getCombination();
+      const list = this.panel.querySelector('.wl-combine-list');
+
+      this.panel.querySelector('.wl-combine-mode').value = mode;
+      list.innerHTML = '';
+      list.style.display = mode === COMBINATION_MODES.single ? 'none' : 'block';
+
+      this.storageManager.getAllCollections()
+        .filter(other => other.id !== collection.id)
+        .forEach(other => {
+          const label = document.createElement('label');
+          label.className = 'wl-combine-item';
+
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.value = other.id;
+          checkbox.checked = collections.includes(other.id);
+
+          const name = document.createElement('span');
+          name.textContent = `${other.name} (${other.getSize()})`;
+
+          label.appendChild(checkbox);
+          label.appendChild(name);
+          list.appendChild(label);
+        });
+
+      if (!list.children.length) {
+        list.textContent = 'Create another collection to combine with.';
+      }
+    }
+
+    handleCombinationChange(change) {
+      try {
+        this.storageManager.setCombination(change);
+      } catch (error) {
+        console.error('[WL] Combination change failed:', error);
+        this.showError('Failed to combine collections: ' + error.message);
+        this.updateCollectionInfo();
+      }
+    }
+
+    handleCaseSensitiveChange(caseSensitive) {
+      const collection = this.storageManager.getActiveCollection();
+      if (!collection) return;
+
+      if (this.hasUnsavedChanges &&
+          !this.showConfirmationDialog('Changing case sensitivity reloads the editor and discards unsaved changes. Continue?')) {
+        this.panel.querySelector('.wl-case-sensitive').checked = collection.isCaseSensitive();
+        return;
+      }
+
+      // Going case-insensitive merges names that differ only by case
+      if (!caseSensitive) {
+        const collisions = collection.getCaseCollisions();
+        if (collisions.length > 0) {
+          const list = collisions.map(names => names.join(' / ')).join('\n');
+          if (!this.showConfirmationDialog(`These entries will be merged (first one kept):\n${list}\n\nContinue?`)) {
+            this.panel.querySelector('.wl-case-sensitive').checked = true;
+            return;
+          }
+        }
+      }
+
+      try {
+        this.whitelistManager.setCaseSensitive(caseSensitive);
+      } catch (error) {
+        console.error('[WL] Case sensitivity change failed:', error);
+        this.showError('Failed to change case sensitivity: ' + error.message);
+      }
+    }
+
+    showLimitWarning({ collection, limit, rejected }) {
+      if (collection !== this.storageManager.config.activeCollection) return;
+
+      const limitEl = this.panel.querySelector('.wl-entry-limit');
+      limitEl.textContent = `Limit of ${limit} reached - ${rejected.length} not added`;
+      limitEl.classList.add('wl-limit-reached');
+      limitEl.title = rejected.join(', ');
+    }
+
+    updateListModeInfo(collection) {
+      const isBlacklist = collection.getListMode() === LIST_MODES.blacklist;
+      const editor = this.panel.querySelector('.wl-whitelist-editor');
+
+      this.panel.querySelector('.wl-list-mode').value = collection.getListMode();
+      this.panel.querySelector('.wl-editor-title').textContent = isBlacklist ? 'Mute List Editor' : 'Whitelist Editor';
+      editor.placeholder = isBlacklist
+        ? 'Enter usernames to hide (one per line)...'
+        : 'Enter usernames (one per line)...';
+    }
+
+    handleListModeChange(mode) {
+      try {
+        this.whitelistManager.setListMode(mode);
+      } catch (error) {
+        console.error('[WL] List mode change failed:', error);
+        this.showError('Failed to change list mode: ' + error.message);
+        this.updateCollectionInfo();
+      }
+    }
+
+    updateScopeInfo(collection) {
+      const scopeEl = this.panel.querySelector('.wl-collection-scope');
+      const route = this.storageManager.currentRoute || parseDiscordRoute();
+      const { guildIds, channelIds } = collection.getScope();
+
+      if (guildIds.length === 0 && channelIds.length === 0) {
+        scopeEl.textContent = 'Scope: everywhere';
+      } else {
+        const parts = [];
+        if (guildIds.length) parts.push(`${guildIds.length} server${guildIds.length === 1 ? '' : 's'}`);
+        if (channelIds.length) parts.push(`${channelIds.length} channel${channelIds.length === 1 ? '' : 's'}`);
+        scopeEl.textContent = `Scope: ${parts.join(', ')}`;
+      }
+
+      const isDefault = collection.id === 'default';
+      const guildButton = this.panel.querySelector('.wl-scope-guild');
+      const channelButton = this.panel.querySelector('.wl-scope-channel');
+
+      guildButton.disabled = isDefault || !route.guildId;
+      channelButton.disabled = isDefault || !route.channelId;
+      this.panel.querySelector('.wl-scope-clear').disabled = isDefault || !collection.isScoped();
+
+      guildButton.textContent = route.guildId && guildIds.includes(route.guildId) ? 'Unbind Server' : 'Bind Server';
+      channelButton.textContent = route.channelId && channelIds.includes(route.channelId) ? 'Unbind Channel' : 'Bind Channel';
+    }
+
+    toggleScope(kind) {
+      const collection = this.storageManager.getActiveCollection();
+      if (!collection || collection.id === 'default') return;
+
+      const route = this.storageManager.currentRoute || parseDiscordRoute();
+      const id = kind === 'guild' ? route.guildId : route.channelId;
+      if (!id) return;
+
+      const scope = collection.getScope();
+      const list = kind === 'guild' ? scope.guildIds : scope.channelIds;
+      const index = list.indexOf(id);
+      if (index >= 0) {
+        list.splice(index, 1);
+      } else {
+        list.push(id);
+      }
+
+      try {
+        this.storageManager.setCollectionScope(collection.id, scope);
+        log(`Updated scope of "${collection.name}":`, scope);
+      } catch (error) {
+        console.error('[WL] Scope update failed:', error);
+        this.showError('Failed to update scope: ' + error.message);
+      }
+    }
+
+    clearScope() {
+      const collection = this.storageManager.getActiveCollection();
+      if (!collection || !collection.isScoped()) return;
+
+      try {
+        this.storageManager.setCollectionScope(collection.id, { guildIds: [], channelIds: [] });
+        log(`Cleared scope of "${collection.name}"`);
+      } catch (error) {
+        console.error('[WL] Scope clear failed:', error);
+        this.showError('Failed to clear scope: ' + error.message);
+      }
     }
 
     handleCollectionSwitch(newId) {
@@ -2456,16 +7084,150 @@
       editor.value = usernames.join('\n');
 
       this.updateEditorInfo();
+      this.updateTemporaryList();
       this.clearUnsavedChanges();
     }
 
+    updateRulesDisplay() {
+      const editor = this.panel?.querySelector('.wl-rules-editor');
+      if (!editor) return;
+
+      editor.value = this.whitelistManager.getRulesAsText().join('\n');
+      editor.classList.remove('wl-rules-invalid');
+    }
+
+    saveRules() {
+      const editor = this.panel.querySelector('.wl-rules-editor');
+
+      try {
+        const lines = editor.value
+          .split('\n')
+          .map(line => line.trim())
+          .filter(line => line);
+
+        const saved = this.whitelistManager.setRulesFromText(lines);
+        this.updateRulesDisplay();
+        log(`Saved ${saved.length} filter rules`);
+      } catch (error) {
+        console.error('[WL] Filter rules save failed:', error);
+        editor.classList.add('wl-rules-invalid');
+        this.showError('Failed to save filter rules: ' + error.message);
+      }
+    }
+
+    updateTemporaryList() {
+      const collection = this.storageManager.getActiveCollection();
+      const list = this.panel?.querySelector('.wl-temporary-list');
+      if (!collection || !list) return;
+
+      const now = Date.now();
+      const temporary = collection.getEntries()
+        .filter(entry => entry.expiresAt)
+        .sort((a, b) => a.expiresAt - b.expiresAt);
+
+      list.innerHTML = '';
+      temporary.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'wl-temporary-item';
+        item.title = `Expires ${entry.expiresAt.toLocaleString()}`;
+
+        const name = document.createElement('span');
+        name.textContent = entry.username;
+
+        const remaining = document.createElement('span');
+        remaining.className = 'wl-temporary-remaining';
+        remaining.textContent = formatTimeRemaining(entry.expiresAt.getTime() - now);
+
+        item.appendChild(name);
+        item.appendChild(remaining);
+        list.appendChild(item);
+      });
+
+      list.style.display = temporary.length > 0 ? 'block' : 'none';
+    }
+
+    async addTemporaryUser() {
+      const usernameInput = this.panel.querySelector('.wl-temporary-username');
+      const username = usernameInput.value.trim();
+      const amount = parseFloat(this.panel.querySelector('.wl-temporary-amount').value);
+      const unitMs = parseInt(this.panel.querySelector('.wl-temporary-unit').value, 10);
+
+      if (!username) {
+        this.showError('Enter a username for temporary access');
+        return;
+      }
+      if (!(amount > 0)) {
+        this.showError('Duration must be a positive number');
+        return;
+      }
+      if (this.hasUnsavedChanges &&
+          !this.showConfirmationDialog('You have unsaved changes in the editor. Discard them?')) {
+        return;
+      }
+
+      try {
+        const expiresAt = new Date(Date.now() + amount * unitMs);
+        const added = await this.whitelistManager.addUser(username, { source: 'temporary', expiresAt });
+        if (!added) {
+          this.showError(`"${username}" is already listed`);
+          return;
+        }
+
+        usernameInput.value = '';
+        this.updateWhitelistDisplay();
+        this.updateStats();
+      } catch (error) {
+        console.error('[WL] Temporary add failed:', error);
+        this.showError('Failed to add temporary entry: ' + error.message);
+      }
+    }
+
     updateEditorInfo() {
       const editor = this.panel.querySelector('.wl-whitelist-editor');
-      const lines = editor.value.split('\n').filter(line => line.trim()).length;
-      const maxEntries = this.storageManager.config.globalSettings.maxEntries;
+      const lines = editor.value.split('\n').map(line => line.trim()).filter(line => line);
+      const maxEntries = this.storageManager.getMaxEntries(this.storageManager.getActiveCollection());
+
+      const checked = lines.map(line => ({ line, ...validateEntryText(line) }));
+      const patternCount = checked.filter(item => item.type !== 'literal').length;
+      const userCount = checked.length - patternCount;
+
+      this.panel.querySelector('.wl-line-count').textContent = patternCount > 0
+        ? `${userCount} users, ${patternCount} patterns`
+        : `${userCount} users`;
+      const limitEl = this.panel.querySelector('.wl-entry-limit');
+      limitEl.textContent = `(max: ${maxEntries})`;
+      limitEl.title = '';
+      limitEl.classList.toggle('wl-limit-reached', lines.length > maxEntries);
+
+      this.updatePatternSummary(checked.filter(item => item.type !== 'literal' || !item.valid));
+    }
+
+    // Lists glob/regex lines (and anything invalid) under the editor so they stand out from plain names
+    updatePatternSummary(items) {
+      const summary = this.panel.querySelector('.wl-pattern-summary');
+      summary.innerHTML = '';
+
+      items.forEach(({ line, type, valid, error }) => {
+        const item = document.createElement('div');
+        item.className = `wl-pattern-item${valid ? '' : ' wl-pattern-invalid'}`;
+        if (!valid) {
+          item.title = error;
+        }
+
+        const badge = document.createElement('span');
+        badge.className = `wl-pattern-badge wl-pattern-${type}`;
+        badge.textContent = valid ? type : `${type} ⚠`;
 
-      this.panel.querySelector('.wl-line-count').textContent = `${lines} users`;
-      this.panel.querySelector('.wl-entry-limit').textContent = `(max: ${maxEntries})`;
+        const text = document.createElement('span');
+        text.className = 'wl-pattern-text';
+        text.textContent = line;
+
+        item.appendChild(badge);
+        item.appendChild(text);
+        summary.appendChild(item);
+      });
+
+      summary.style.display = items.length > 0 ? 'block' : 'none';
     }
 
     handleWhitelistChange() {
@@ -2478,6 +7240,7 @@
       const collection = this.storageManager.getActiveCollection();
       if (!collection) return;
 
+      let edit = null;
       try {
         // Parse usernames from textarea
         const usernames = editor.value
@@ -2485,21 +7248,45 @@
           .map(line => line.trim())
           .filter(line => line);
 
+        // Refuse to save broken patterns rather than silently dropping them
+        const invalidPatterns = usernames
+          .map(line => validateEntryText(line))
+          .filter(result => !result.valid && result.type !== 'literal');
+        if (invalidPatterns.length > 0) {
+          this.showError(`Invalid patterns, nothing saved:\n${invalidPatterns.map(result => result.error).join('\n')}`);
+          return;
+        }
+
+        // Check the limit before touching the collection so an oversized paste can't wipe it
+        const maxEntries = this.storageManager.getMaxEntries(collection);
+        const editorKeys = new Set(usernames.map(username => collection.keyFor(username)));
+        const distinctCount = editorKeys.size;
+        if (distinctCount > maxEntries) {
+          this.showError(`Maximum ${maxEntries} entries allowed per collection (editor has ${distinctCount}), nothing saved`);
+          return;
+        }
+
+        // Keep metadata (user IDs, notes, dates) for names that stay in the list
+        const previousEntries = new Map(collection.entries);
+
+        // Only worth a backup when the save drops entries
+        if (Array.from(previousEntries.keys()).some(key => !editorKeys.has(key))) {
+          this.storageManager.backup(`Before editor save of "${collection.name}"`);
+        }
+
+        edit = this.storageManager.history.begin(`Editor save of "${collection.name}"`, [collection.id]);
+
         // Clear current collection
         collection.entries.clear();
 
         // Add new usernames
         let added = 0;
-        const maxEntries = this.storageManager.config.globalSettings.maxEntries;
 
         for (const username of usernames) {
-          if (added >= maxEntries) {
-            this.showError(`Maximum ${maxEntries} entries allowed per collection`);
-            break;
-          }
-
           try {
-            if (collection.addEntry(username, { source: 'manual' })) {
+            const previous = previousEntries.get(collection.keyFor(username));
+            const options = previous ? previous.toJSON() : { source: 'manual' };
+            if (collection.addEntry(username, options)) {
               added++;
             }
           } catch (error) {
@@ -2525,6 +7312,8 @@
       } catch (error) {
         console.error('[WL] Save failed:', error);
         this.showError('Failed to save changes: ' + error.message);
+      } finally {
+        this.storageManager.history.end(edit);
       }
     }
 
@@ -2536,9 +7325,8 @@
         return;
       }
 
-      collection.entries.clear();
-      collection.metadata.modified = new Date();
-      this.storageManager.saveCollections();
+      // Through the manager so the clear is backed up, undoable and re-filtered
+      this.whitelistManager.clearWhitelist();
       this.updateWhitelistDisplay();
       this.updateStats();
       this.updateCollectionSelector(); // Update collection count in selector
@@ -2546,67 +7334,382 @@
       log('Cleared collection:', collection.name);
     }
 
-    // UI state management
-    markUnsavedChanges() {
-      this.hasUnsavedChanges = true;
-      this.panel.querySelector('.wl-unsaved-indicator').style.display = 'inline';
+    // UI state management
+    markUnsavedChanges() {
+      this.hasUnsavedChanges = true;
+      this.panel.querySelector('.wl-unsaved-indicator').style.display = 'inline';
+    }
+
+    clearUnsavedChanges() {
+      this.hasUnsavedChanges = false;
+      this.panel.querySelector('.wl-unsaved-indicator').style.display = 'none';
+    }
+
+    // Status updates
+    updateFilterStatus() {
+      const config = this.storageManager.config.globalSettings;
+      const statusEl = this.panel.querySelector('.wl-status-indicator');
+      const textEl = this.panel.querySelector('.wl-status-text');
+
+      // Update toggles
+      this.panel.querySelector('.wl-master-enable').checked = config.enabled;
+      this.panel.querySelector('.wl-temp-override').checked = config.showAllTemp;
+
+      const exemptions = this.storageManager.getExemptions();
+      this.panel.querySelector('.wl-exempt-mentions').checked = exemptions.mentions;
+      this.panel.querySelector('.wl-exempt-replies').checked = exemptions.replies;
+      this.panel.querySelector('.wl-exempt-own-threads').checked = exemptions.ownThreads;
+      this.panel.querySelector('.wl-exempt-context').checked = exemptions.conversationContext;
+
+      // Update display mode
+      let mode = 'normal';
+      if (config.groupHidden) mode = 'grouped';
+      if (config.highlightOnly) mode = 'highlight';
+      if (config.hardHide) mode = 'hard-hide';
+      if (config.showAllTemp) mode = 'show-all';
+      this.panel.querySelector('.wl-display-mode').value = mode;
+      this.updateDisplayOverrides();
+
+      const highlight = this.storageManager.getHighlightStyle();
+      this.panel.querySelector('.wl-highlight-border').checked = highlight.border;
+      this.panel.querySelector('.wl-highlight-tint').checked = highlight.tint;
+      this.panel.querySelector('.wl-highlight-badge-toggle').checked = highlight.badge;
+      this.panel.querySelector('.wl-viewport-margin').value = this.storageManager.getViewportMargin();
+
+      const override = this.storageManager.getDisplayOverride();
+
+      // Update status indicator
+      if (!config.enabled) {
+        statusEl.className = 'wl-status-indicator wl-status-disabled';
+        textEl.textContent = 'Filtering Disabled';
+      } else if (config.showAllTemp) {
+        statusEl.className = 'wl-status-indicator wl-status-temp';
+        textEl.textContent = 'Show All (Temporary)';
+      } else if (override) {
+        const statusClass = { off: 'wl-status-disabled', hide: 'wl-status-hard' }[override.mode] || 'wl-status-active';
+        statusEl.className = `wl-status-indicator ${statusClass}`;
+        textEl.textContent = `${override.scope === 'channel' ? 'Channel' : 'Server'} Override: ${override.mode}`;
+      } else if (config.hardHide) {
+        statusEl.className = 'wl-status-indicator wl-status-hard';
+        textEl.textContent = 'Hard Hide Mode';
+      } else if (config.highlightOnly) {
+        statusEl.className = 'wl-status-indicator wl-status-active';
+        textEl.textContent = 'Highlight Only';
+      } else if (config.groupHidden) {
+        statusEl.className = 'wl-status-indicator wl-status-active';
+        textEl.textContent = 'Grouping Hidden Messages';
+      } else {
+        statusEl.className = 'wl-status-indicator wl-status-active';
+        textEl.textContent = this.whitelistManager.getListMode() === LIST_MODES.blacklist
+          ? 'Mute List Active'
+          : 'Filtering Active';
+      }
+    }
+
+    updateDisplayOverrides() {
+      const route = this.storageManager.currentRoute || parseDiscordRoute();
+      const { channels, guilds } = this.storageManager.getDisplayOverrides();
+      const channelSelect = this.panel.querySelector('.wl-channel-override');
+      const serverSelect = this.panel.querySelector('.wl-server-override');
+
+      channelSelect.disabled = !route.channelId;
+      channelSelect.value = (route.channelId && channels[route.channelId]?.mode) || '';
+      serverSelect.disabled = !route.guildId;
+      serverSelect.value = (route.guildId && guilds[route.guildId]?.mode) || '';
+
+      const list = this.panel.querySelector('.wl-override-list');
+      list.innerHTML = '';
+      const items = [
+        ...Object.entries(channels).map(([id, override]) => ({ scope: 'channel', id, ...override })),
+        ...Object.entries(guilds).map(([id, override]) => ({ scope: 'server', id, ...override })),
+      ];
+
+      items.forEach(({ scope, id, mode, label }) => {
+        const item = document.createElement('div');
+        item.className = 'wl-override-item';
+
+        const name = document.createElement('span');
+        name.textContent = `${scope === 'channel' ? '#' : '🏠 '}${label || id}`;
+        name.title = `${scope} ${id}`;
+
+        const value = document.createElement('span');
+        value.className = 'wl-override-mode';
+        value.textContent = mode;
+
+        const remove = document.createElement('button');
+        remove.className = 'wl-override-remove';
+        remove.textContent = '✕';
+        remove.title = 'Remove override';
+        remove.dataset.scope = scope;
+        remove.dataset.id = id;
+
+        item.appendChild(name);
+        item.appendChild(value);
+        item.appendChild(remove);
+        list.appendChild(item);
+      });
+
+      list.style.display = items.length > 0 ? 'block' : 'none';
+    }
+
+    handleDisplayOverrideChange(scope, mode, id = null) {
+      const route = this.storageManager.currentRoute || parseDiscordRoute();
+      const targetId = id || (scope === 'channel' ? route.channelId : route.guildId);
+      // Remember a readable name for the override list; only the open channel's name is known
+      const label = !id && scope === 'channel' ? getCurrentChannelName() : '';
+
+      try {
+        this.storageManager.setDisplayOverride(scope, targetId, mode || null, label);
+      } catch (error) {
+        console.error('[WL] Display override change failed:', error);
+        this.showError('Failed to change display override: ' + error.message);
+        this.updateFilterStatus();
+      }
+    }
+
+    updateStats() {
+      const collection = this.storageManager.getActiveCollection();
+      const allCollections = this.storageManager.getAllCollections();
+      const filterStats = this.filterEngine.getStats();
+
+      const isBlacklist = collection?.getListMode() === LIST_MODES.blacklist;
+      const combination = this.storageManager.getCombination();
+      const combinedCount = combination.mode === COMBINATION_MODES.single ? 0 : combination.collections.length;
+
+      this.panel.querySelector('.wl-current-collection').textContent = collection
+        ? `${collection.name}${combinedCount > 0 ? ` +${combinedCount} (${combination.mode})` : ''}`
+        : '-';
+      this.panel.querySelector('.wl-user-count-label').textContent = isBlacklist ? 'Muted Users:' : 'Users:';
+      this.panel.querySelector('.wl-user-count').textContent = collection?.getSize() || 0;
+      this.panel.querySelector('.wl-list-mode-value').textContent = isBlacklist ? 'Mute List' : 'Whitelist';
+      this.panel.querySelector('.wl-filtered-count').textContent = filterStats.filtered || 0;
+      this.panel.querySelector('.wl-exempted-count').textContent = filterStats.exempted || 0;
+      this.panel.querySelector('.wl-collection-count').textContent = allCollections.length;
+    }
+
+    // Dialog utilities
+    showConfirmationDialog(message) {
+      return confirm(message);
+    }
+
+    showPromptDialog(message, defaultValue = '') {
+      return prompt(message, defaultValue);
+    }
+
+    updateRevealedMessages() {
+      if (!this.panel) return;
+
+      const records = this.storageManager.getToggleOverrides();
+      const settings = this.storageManager.getToggleOverrideSettings();
+      this.panel.querySelector('.wl-revealed-count').textContent = records.length > 0 ? `(${records.length})` : '';
+      this.panel.querySelector('.wl-revealed-max').value = settings.maxEntries;
+      this.panel.querySelector('.wl-revealed-age').value = settings.maxAgeDays;
+
+      const list = this.panel.querySelector('.wl-revealed-list');
+      list.innerHTML = '';
+      if (records.length === 0) {
+        list.textContent = 'No messages revealed with their toggle.';
+        return;
+      }
+
+      records.forEach(record => {
+        const item = document.createElement('div');
+        item.className = 'wl-override-item';
+
+        const link = document.createElement('a');
+        link.className = 'wl-revealed-link';
+        link.dataset.id = record.messageId;
+        link.href = buildMessageLink(record.messageId, record.guildId) || '#';
+        link.textContent = `${record.username || 'Unknown'}: ${record.preview || '(no text)'}`;
+        link.title = `Revealed ${new Date(record.revealedAt).toLocaleString()}`;
+
+        const remove = document.createElement('button');
+        remove.className = 'wl-override-remove wl-revealed-remove';
+        remove.textContent = '✕';
+        remove.title = 'Filter this message again';
+        remove.dataset.id = record.messageId;
+
+        item.appendChild(link);
+        item.appendChild(remove);
+        list.appendChild(item);
+      });
+    }
+
+    undo() {
+      try {
+        this.storageManager.history.undo();
+      } catch (error) {
+        console.error('[WL] Undo failed:', error);
+        this.showError('Failed to undo: ' + error.message);
+      }
+    }
+
+    redo() {
+      try {
+        this.storageManager.history.redo();
+      } catch (error) {
+        console.error('[WL] Redo failed:', error);
+        this.showError('Failed to redo: ' + error.message);
+      }
+    }
+
+    updateHistoryButtons() {
+      if (!this.panel) return;
+
+      const state = this.storageManager.history.getState();
+      const undo = this.panel.querySelector('.wl-history-undo');
+      const redo = this.panel.querySelector('.wl-history-redo');
+      undo.disabled = !state.canUndo;
+      undo.title = state.canUndo ? `Undo ${state.undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+      redo.disabled = !state.canRedo;
+      redo.title = state.canRedo ? `Redo ${state.redoLabel} (Ctrl+Y)` : 'Nothing to redo';
+    }
+
+    async updateBackups() {
+      if (!this.panel) return;
+
+      const preferences = this.storageManager.getStoragePreferences();
+      this.panel.querySelector('.wl-backup-auto').checked = preferences.autoBackup;
+      this.panel.querySelector('.wl-backup-max').value = preferences.maxBackups;
+
+      const list = this.panel.querySelector('.wl-backup-list');
+      try {
+        const backups = await this.backupManager.list();
+        list.innerHTML = '';
+        if (backups.length === 0) {
+          list.textContent = 'No backups yet.';
+          return;
+        }
+
+        backups.forEach(backup => {
+          const item = document.createElement('div');
+          item.className = 'wl-override-item';
+
+          const label = document.createElement('span');
+          const date = new Date(backup.createdAt).toLocaleString();
+          label.textContent = `${date} · ${backup.reason}`;
+          label.title = `${backup.collections} collections, ${backup.entries} entries`;
+
+          const restore = document.createElement('button');
+          restore.className = 'wl-btn wl-btn-small wl-backup-restore';
+          restore.textContent = 'Restore';
+          restore.dataset.id = backup.id;
+          restore.dataset.label = `${date} (${backup.reason})`;
+
+          const remove = document.createElement('button');
+          remove.className = 'wl-override-remove wl-backup-delete';
+          remove.textContent = '✕';
+          remove.title = 'Delete this backup';
+          remove.dataset.id = backup.id;
+
+          item.appendChild(label);
+          item.appendChild(restore);
+          item.appendChild(remove);
+          list.appendChild(item);
+        });
+      } catch (error) {
+        console.error('[WL] Backup list failed:', error);
+        list.textContent = 'Backups could not be read.';
+      }
+    }
+
+    async restoreBackup(id, label) {
+      if (!confirm(`Restore the backup from ${label}?\n\nAll collections and settings are replaced; the current state is backed up first.`)) {
+        return;
+      }
+
+      try {
+        await this.backupManager.restore(id);
+      } catch (error) {
+        console.error('[WL] Backup restore failed:', error);
+        this.showError('Failed to restore backup: ' + error.message);
+      }
+    }
+
+    async handleBackupSettings(changes) {
+      try {
+        await this.backupManager.setSettings(changes);
+      } catch (error) {
+        console.error('[WL] Backup settings change failed:', error);
+        this.showError('Failed to change backup settings: ' + error.message);
+        this.updateBackups();
+      }
     }
 
-    clearUnsavedChanges() {
-      this.hasUnsavedChanges = false;
-      this.panel.querySelector('.wl-unsaved-indicator').style.display = 'none';
+    handleToggleOverrideSettings(changes) {
+      try {
+        this.storageManager.setToggleOverrideSettings(changes);
+      } catch (error) {
+        console.error('[WL] Revealed message settings change failed:', error);
+        this.showError('Failed to change revealed message settings: ' + error.message);
+        this.updateRevealedMessages();
+      }
     }
 
-    // Status updates
-    updateFilterStatus() {
-      const config = this.storageManager.config.globalSettings;
-      const statusEl = this.panel.querySelector('.wl-status-indicator');
-      const textEl = this.panel.querySelector('.wl-status-text');
+    // Stored data this version can't use (or couldn't migrate); changes made here won't be saved
+    updateSchemaWarning() {
+      if (!this.panel) return;
+      const { readOnly, error } = this.storageManager.getSchemaInfo();
+      const warning = this.panel.querySelector('.wl-schema-warning');
+      warning.textContent = readOnly ? `⚠️ ${error}` : '';
+      warning.style.display = readOnly ? 'block' : 'none';
+    }
 
-      // Update toggles
-      this.panel.querySelector('.wl-master-enable').checked = config.enabled;
-      this.panel.querySelector('.wl-temp-override').checked = config.showAllTemp;
+    updateSelectorStatus() {
+      if (!this.panel) return;
 
-      // Update display mode
-      let mode = 'normal';
-      if (config.hardHide) mode = 'hard-hide';
-      if (config.showAllTemp) mode = 'show-all';
-      this.panel.querySelector('.wl-display-mode').value = mode;
+      const pack = this.selectorPacks.getInfo();
+      const health = this.selectorHealth.result;
+      const source = pack.source === 'builtin' ? 'shipped with the script' : `from ${pack.source}`;
+      this.panel.querySelector('.wl-selector-info').textContent = `${pack.name} v${pack.version} (${source})`;
+      this.panel.querySelector('.wl-selector-reset').disabled = pack.source === 'builtin';
 
-      // Update status indicator
-      if (!config.enabled) {
-        statusEl.className = 'wl-status-indicator wl-status-disabled';
-        textEl.textContent = 'Filtering Disabled';
-      } else if (config.showAllTemp) {
-        statusEl.className = 'wl-status-indicator wl-status-temp';
-        textEl.textContent = 'Show All (Temporary)';
-      } else if (config.hardHide) {
-        statusEl.className = 'wl-status-indicator wl-status-hard';
-        textEl.textContent = 'Hard Hide Mode';
+      const healthEl = this.panel.querySelector('.wl-selector-health');
+      healthEl.className = `wl-selector-health wl-selector-${health.status}`;
+      if (health.status === 'ok') {
+        healthEl.textContent = `✓ Read ${health.extracted} of ${health.sampled} message authors`;
+      } else if (health.status === 'broken') {
+        healthEl.textContent = `✗ Read 0 of ${health.sampled} message authors`;
       } else {
-        statusEl.className = 'wl-status-indicator wl-status-active';
-        textEl.textContent = 'Filtering Active';
+        healthEl.textContent = health.checkedAt ? 'Not enough messages here to check' : 'Not checked yet';
       }
+
+      this.panel.querySelector('.wl-selector-warning').style.display = health.status === 'broken' ? 'block' : 'none';
     }
 
-    updateStats() {
-      const collection = this.storageManager.getActiveCollection();
-      const allCollections = this.storageManager.getAllCollections();
-      const filterStats = this.filterEngine.getStats();
+    async loadSelectorPackFromUrl() {
+      const input = this.panel.querySelector('.wl-selector-url');
+      const url = input.value.trim();
+      if (!url) return;
 
-      this.panel.querySelector('.wl-current-collection').textContent = collection?.name || '-';
-      this.panel.querySelector('.wl-user-count').textContent = collection?.getSize() || 0;
-      this.panel.querySelector('.wl-filtered-count').textContent = filterStats.filtered || 0;
-      this.panel.querySelector('.wl-collection-count').textContent = allCollections.length;
+      try {
+        const pack = await this.selectorPacks.loadFromUrl(url);
+        input.value = '';
+        log(`Loaded selector pack "${pack.name}" from URL`);
+      } catch (error) {
+        console.error('[WL] Loading selector pack failed:', error);
+        this.showError('Failed to load selector pack: ' + error.message);
+      }
     }
 
-    // Dialog utilities
-    showConfirmationDialog(message) {
-      return confirm(message);
-    }
+    async loadSelectorPackFromFile(input) {
+      const file = input.files?.[0];
+      if (!file) return;
 
-    showPromptDialog(message, defaultValue = '') {
-      return prompt(message, defaultValue);
+      try {
+        const text = await new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.onerror = () => reject(reader.error || new Error('Could not read file'));
+          reader.readAsText(file);
+        });
+        this.selectorPacks.loadFromText(text, file.name);
+      } catch (error) {
+        console.error('[WL] Loading selector pack failed:', error);
+        this.showError('Failed to load selector pack: ' + error.message);
+      } finally {
+        input.value = '';
+      }
     }
 
     showError(message) {
@@ -2636,151 +7739,441 @@
           display: none;
         }
 
-        .wl-panel-header {
-          background: #36393f;
-          padding: 12px 16px;
-          border-radius: 8px 8px 0 0;
-          border-bottom: 1px solid #202225;
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          cursor: move;
-          user-select: none;
+        .wl-panel-header {
+          background: #36393f;
+          padding: 12px 16px;
+          border-radius: 8px 8px 0 0;
+          border-bottom: 1px solid #202225;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          cursor: move;
+          user-select: none;
+        }
+
+        .wl-panel-title {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-weight: 600;
+          flex: 1;
+        }
+
+        .wl-panel-icon {
+          font-size: 16px;
+        }
+
+        .wl-panel-header-controls {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .wl-collection-selector {
+          background: #40444b;
+          border: 1px solid #202225;
+          border-radius: 4px;
+          color: #dcddde;
+          padding: 4px 8px;
+          font-size: 12px;
+          min-width: 120px;
+        }
+
+        .wl-panel-minimize,
+        .wl-panel-close {
+          background: none;
+          border: none;
+          color: #b9bbbe;
+          font-size: 16px;
+          width: 24px;
+          height: 24px;
+          border-radius: 4px;
+          cursor: pointer;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 10;
+          position: relative;
+          pointer-events: all;
+        }
+
+        .wl-panel-minimize:hover,
+        .wl-panel-close:hover {
+          background: #40444b;
+          color: #fff;
+        }
+
+        .wl-panel-content {
+          max-height: 600px;
+          overflow-y: auto;
+        }
+
+        .wl-panel-section {
+          border-bottom: 1px solid #202225;
+          padding: 16px;
+        }
+
+        .wl-panel-section:last-child {
+          border-bottom: none;
+        }
+
+        .wl-section-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 12px;
+        }
+
+        .wl-section-header h3 {
+          margin: 0;
+          font-size: 14px;
+          font-weight: 600;
+          color: #fff;
+        }
+
+        .wl-section-toggle {
+          background: none;
+          border: none;
+          color: #b9bbbe;
+          cursor: pointer;
+          font-size: 12px;
+        }
+
+        .wl-unsaved-indicator {
+          color: #faa61a;
+          font-size: 16px;
+          margin-left: 8px;
+        }
+
+        .wl-collection-info {
+          background: #40444b;
+          padding: 8px 12px;
+          border-radius: 4px;
+          margin-bottom: 8px;
+        }
+
+        .wl-collection-name {
+          font-weight: 600;
+          display: block;
+        }
+
+        .wl-collection-meta,
+        .wl-collection-scope {
+          font-size: 12px;
+          color: #b9bbbe;
+        }
+
+        .wl-collection-scope {
+          display: block;
+        }
+
+        .wl-scope-actions {
+          margin-top: 4px;
+        }
+
+        .wl-list-mode-row {
+          margin-top: 8px;
+        }
+
+        .wl-collection-actions {
+          display: flex;
+          gap: 4px;
+          flex-wrap: wrap;
+        }
+
+        .wl-whitelist-editor {
+          width: 100%;
+          background: #40444b;
+          border: 1px solid #202225;
+          border-radius: 4px;
+          color: #dcddde;
+          padding: 8px;
+          font-family: 'Consolas', 'Monaco', monospace;
+          font-size: 13px;
+          resize: vertical;
+          margin-bottom: 8px;
+        }
+
+        .wl-whitelist-editor:focus {
+          outline: none;
+          border-color: #7289da;
+        }
+
+        .wl-rules-editor {
+          width: 100%;
+          background: #40444b;
+          border: 1px solid #202225;
+          border-radius: 4px;
+          color: #dcddde;
+          padding: 8px;
+          font-family: 'Consolas', 'Monaco', monospace;
+          font-size: 12px;
+          line-height: 1.5;
+          resize: vertical;
+          margin-bottom: 8px;
+        }
+
+        .wl-rules-editor:focus {
+          outline: none;
+          border-color: #7289da;
+        }
+
+        .wl-rules-editor.wl-rules-invalid {
+          border-color: #f04747;
+        }
+
+        .wl-pattern-summary {
+          background: #36393f;
+          border-radius: 4px;
+          padding: 6px 8px;
+          margin-bottom: 8px;
+          max-height: 120px;
+          overflow-y: auto;
+          font-family: 'Consolas', 'Monaco', monospace;
+          font-size: 12px;
+        }
+
+        .wl-pattern-item {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 2px 0;
+        }
+
+        .wl-pattern-badge {
+          font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif;
+          font-size: 10px;
+          font-weight: 600;
+          text-transform: uppercase;
+          padding: 1px 4px;
+          border-radius: 3px;
+          background: #4f545c;
+          color: #fff;
+        }
+
+        .wl-pattern-glob {
+          background: #3ba55d;
+        }
+
+        .wl-pattern-regex {
+          background: #faa61a;
+        }
+
+        .wl-pattern-invalid .wl-pattern-badge {
+          background: #f04747;
         }
 
-        .wl-panel-title {
-          display: flex;
-          align-items: center;
-          gap: 8px;
-          font-weight: 600;
-          flex: 1;
+        .wl-pattern-invalid .wl-pattern-text {
+          color: #f04747;
+          text-decoration: underline wavy;
         }
 
-        .wl-panel-icon {
-          font-size: 16px;
+        .wl-override-list {
+          display: none;
+          padding: 4px 8px;
+          background: #36393f;
+          border-radius: 4px;
+          font-size: 12px;
+          color: #b9bbbe;
         }
 
-        .wl-panel-header-controls {
+        .wl-override-item {
           display: flex;
           align-items: center;
-          gap: 8px;
+          gap: 6px;
+          padding: 2px 0;
         }
 
-        .wl-collection-selector {
-          background: #40444b;
-          border: 1px solid #202225;
-          border-radius: 4px;
-          color: #dcddde;
-          padding: 4px 8px;
-          font-size: 12px;
-          min-width: 120px;
+        .wl-override-item span:first-child {
+          flex: 1;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
         }
 
-        .wl-panel-minimize,
-        .wl-panel-close {
+        .wl-override-mode {
+          color: #faa61a;
+        }
+
+        .wl-override-remove {
           background: none;
           border: none;
           color: #b9bbbe;
-          font-size: 16px;
-          width: 24px;
-          height: 24px;
-          border-radius: 4px;
           cursor: pointer;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          z-index: 10;
-          position: relative;
-          pointer-events: all;
+          padding: 0 2px;
         }
 
-        .wl-panel-minimize:hover,
-        .wl-panel-close:hover {
-          background: #40444b;
-          color: #fff;
+        .wl-override-remove:hover {
+          color: #f04747;
         }
 
-        .wl-panel-content {
-          max-height: 600px;
+        .wl-revealed-list,
+        .wl-backup-list {
+          max-height: 160px;
           overflow-y: auto;
+          font-size: 12px;
+          color: #b9bbbe;
         }
 
-        .wl-panel-section {
-          border-bottom: 1px solid #202225;
-          padding: 16px;
+        .wl-revealed-link {
+          flex: 1;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          color: #00aff4;
+          text-decoration: none;
         }
 
-        .wl-panel-section:last-child {
-          border-bottom: none;
+        .wl-revealed-link:hover {
+          text-decoration: underline;
         }
 
-        .wl-section-header {
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
+        .wl-schema-warning,
+        .wl-selector-warning {
           margin-bottom: 12px;
+          padding: 8px;
+          background: rgba(240, 71, 71, 0.15);
+          border: 1px solid #f04747;
+          border-radius: 4px;
+          color: #dcddde;
+          font-size: 12px;
         }
 
-        .wl-section-header h3 {
-          margin: 0;
-          font-size: 14px;
-          font-weight: 600;
-          color: #fff;
+        .wl-selector-info,
+        .wl-selector-health {
+          font-size: 12px;
+          color: #b9bbbe;
         }
 
-        .wl-section-toggle {
-          background: none;
-          border: none;
+        .wl-selector-ok {
+          color: #43b581;
+        }
+
+        .wl-selector-broken {
+          color: #f04747;
+        }
+
+        .wl-highlight-style {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 4px 10px;
+          font-size: 13px;
           color: #b9bbbe;
-          cursor: pointer;
-          font-size: 12px;
         }
 
-        .wl-unsaved-indicator {
-          color: #faa61a;
-          font-size: 16px;
-          margin-left: 8px;
+        .wl-accent-color {
+          width: 32px;
+          height: 20px;
+          padding: 0;
+          border: none;
+          background: none;
+          cursor: pointer;
         }
 
-        .wl-collection-info {
-          background: #40444b;
-          padding: 8px 12px;
-          border-radius: 4px;
-          margin-bottom: 8px;
+        .wl-exemptions {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          font-size: 13px;
+          color: #b9bbbe;
         }
 
-        .wl-collection-name {
-          font-weight: 600;
-          display: block;
+        .wl-exemption-item {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          cursor: pointer;
         }
 
-        .wl-collection-meta {
+        .wl-temporary {
+          margin-top: 8px;
           font-size: 12px;
           color: #b9bbbe;
         }
 
-        .wl-collection-actions {
+        .wl-temporary-form {
           display: flex;
           gap: 4px;
-          flex-wrap: wrap;
+          margin-top: 4px;
         }
 
-        .wl-whitelist-editor {
-          width: 100%;
+        .wl-temporary-form input,
+        .wl-temporary-form select {
+          min-width: 0;
+          padding: 4px 6px;
+          background: #40444b;
+          border: 1px solid #202225;
+          border-radius: 3px;
+          color: #dcddde;
+          font-size: 12px;
+        }
+
+        .wl-temporary-username {
+          flex: 1;
+        }
+
+        .wl-temporary-amount {
+          width: 48px;
+        }
+
+        .wl-viewport-margin,
+        .wl-revealed-input {
+          width: 64px;
+          padding: 4px 6px;
           background: #40444b;
           border: 1px solid #202225;
           border-radius: 4px;
           color: #dcddde;
-          padding: 8px;
-          font-family: 'Consolas', 'Monaco', monospace;
-          font-size: 13px;
-          resize: vertical;
-          margin-bottom: 8px;
+          font-size: 12px;
         }
 
-        .wl-whitelist-editor:focus {
-          outline: none;
-          border-color: #7289da;
+        .wl-temporary-list {
+          display: none;
+          margin-top: 4px;
+          padding: 4px 8px;
+          background: #36393f;
+          border-radius: 4px;
+        }
+
+        .wl-temporary-item {
+          display: flex;
+          justify-content: space-between;
+          padding: 2px 0;
+        }
+
+        .wl-temporary-remaining {
+          color: #faa61a;
+        }
+
+        .wl-combine {
+          margin-top: 8px;
+        }
+
+        .wl-combine-list {
+          margin-top: 4px;
+          padding: 4px 8px;
+          background: #36393f;
+          border-radius: 4px;
+          font-size: 12px;
+          color: #b9bbbe;
+        }
+
+        .wl-combine-item {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 2px 0;
+          cursor: pointer;
+        }
+
+        .wl-limit-reached {
+          color: #f04747;
+          font-weight: 600;
+        }
+
+        .wl-case-row {
+          margin-top: 8px;
         }
 
         .wl-editor-info {
@@ -2985,6 +8378,7 @@
       this.storageManager = storageManager;
       this.activeMenu = null;
       this.targetUsername = null;
+      this.targetUserId = null;
       this.targetElement = null;
       this.menuElement = null;
       this.initialized = false;
@@ -3023,7 +8417,7 @@
 
     isMessageElement(element) {
       // Check if element is part of a Discord message
-      return element.closest('li[id^="chat-messages-"]') !== null;
+      return element.closest(MESSAGE_SELECTORS.messageContainer) !== null;
     }
 
     handleContextMenu(e) {
@@ -3033,11 +8427,14 @@
         return;
       }
 
+      const userId = this.extractUserId(e.target);
+
       this.targetUsername = username;
+      this.targetUserId = userId;
       this.targetElement = e.target;
 
-      const isWhitelisted = this.whitelistManager.isWhitelisted(username);
-      const menuOptions = this.buildMenuOptions(username, isWhitelisted);
+      const isWhitelisted = this.whitelistManager.isWhitelisted(username, userId);
+      const menuOptions = this.buildMenuOptions(username, isWhitelisted, userId);
 
       this.createMenu(menuOptions);
       this.showMenu(e.clientX, e.clientY);
@@ -3046,21 +8443,18 @@
     extractUsername(element) {
       // Try multiple strategies to find the ACTUAL MESSAGE AUTHOR (not mentioned/replied users)
 
-      const messageEl = element.closest('li[id^="chat-messages-"]');
+      const messageEl = element.closest(MESSAGE_SELECTORS.messageContainer);
       if (!messageEl) {
         return null;
       }
 
       // Strategy 1: Look for the message author's username in the header
       // This should be the first username element that's NOT part of a reply
-      const usernameElements = messageEl.querySelectorAll('[class*="username"]');
+      const usernameElements = messageEl.querySelectorAll(MESSAGE_SELECTORS.authorElement);
 
       for (const usernameEl of usernameElements) {
         // Skip usernames that are inside reply previews or mentions
-        const isInReplyPreview = usernameEl.closest('[class*="repliedMessage"]') ||
-                                usernameEl.closest('[class*="replyPreview"]') ||
-                                usernameEl.closest('[class*="mention"]') ||
-                                usernameEl.closest('[class*="reply"]');
+        const isInReplyPreview = usernameEl.closest(MESSAGE_SELECTORS.replyOrMention);
 
         if (!isInReplyPreview && usernameEl.textContent) {
           const username = usernameEl.textContent.trim();
@@ -3070,13 +8464,10 @@
       }
 
       // Strategy 2: If we clicked directly on a username element, make sure it's the author
-      const clickedUsernameEl = element.closest('[class*="username"]');
+      const clickedUsernameEl = element.closest(MESSAGE_SELECTORS.authorElement);
       if (clickedUsernameEl && clickedUsernameEl.textContent) {
         // Check if this username is the message author (not a reply mention)
-        const isReplyMention = clickedUsernameEl.closest('[class*="repliedMessage"]') ||
-                              clickedUsernameEl.closest('[class*="replyPreview"]') ||
-                              clickedUsernameEl.closest('[class*="mention"]') ||
-                              clickedUsernameEl.closest('[class*="reply"]');
+        const isReplyMention = clickedUsernameEl.closest(MESSAGE_SELECTORS.replyOrMention);
 
         if (!isReplyMention) {
           const username = clickedUsernameEl.textContent.trim();
@@ -3096,7 +8487,7 @@
       }
 
       // Strategy 4: Last resort - look for any username but prefer non-mention ones
-      const allUsernames = messageEl.querySelectorAll('[class*="username"]');
+      const allUsernames = messageEl.querySelectorAll(MESSAGE_SELECTORS.authorElement);
       for (const usernameEl of allUsernames) {
         if (usernameEl.textContent) {
           const username = usernameEl.textContent.trim();
@@ -3109,14 +8500,23 @@
       return null;
     }
 
+    extractUserId(element) {
+      // Reuse the filter engine's avatar/author-data parsing so both paths agree on the author
+      const messageEl = element.closest(MESSAGE_SELECTORS.messageContainer);
+      if (!messageEl || !this.filterEngine) {
+        return null;
+      }
+      return this.filterEngine.extractUserId(messageEl);
+    }
+
     findUsernameFromPreviousMessage(messageEl) {
       let prev = messageEl.previousElementSibling;
       let searchCount = 0;
       const maxSearch = 10; // Limit search to prevent infinite loop
 
       while (prev && searchCount < maxSearch) {
-        if (prev.nodeName === 'LI' && prev.id && prev.id.startsWith('chat-messages-')) {
-          const usernameEl = prev.querySelector('[class*="username"]');
+        if (prev.matches(MESSAGE_SELECTORS.messageContainer)) {
+          const usernameEl = prev.querySelector(MESSAGE_SELECTORS.authorElement);
           if (usernameEl && usernameEl.textContent) {
             // Check if this is likely the same user (grouped messages)
             const currentContent = messageEl.textContent || '';
@@ -3137,29 +8537,47 @@
       return null;
     }
 
-    buildMenuOptions(username, isWhitelisted) {
+    buildMenuOptions(username, isWhitelisted, userId = null) {
       const options = [];
+      const isBlacklist = this.whitelistManager.getListMode() === LIST_MODES.blacklist;
 
       if (isWhitelisted) {
         options.push({
-          label: '❌ Remove from Whitelist',
-          action: () => this.removeFromWhitelist(username),
+          label: isBlacklist ? '🔊 Unhide this user' : '❌ Remove from Whitelist',
+          action: () => this.removeFromWhitelist(username, userId),
           className: 'wl-context-menu-remove'
         });
       } else {
         options.push({
-          label: '✅ Add to Whitelist',
-          action: () => this.addToWhitelist(username),
+          label: isBlacklist ? '🔇 Hide this user' : '✅ Add to Whitelist',
+          action: () => this.addToWhitelist(username, userId),
           className: 'wl-context-menu-add'
         });
+        options.push({
+          label: isBlacklist ? '⏳ Hide for...' : '⏳ Whitelist for...',
+          submenu: TEMPORARY_DURATIONS.map(duration => ({
+            label: duration.label,
+            action: () => this.addToWhitelist(username, userId, duration.ms),
+            className: 'wl-context-menu-add'
+          }))
+        });
       }
 
       options.push({
         label: '📊 View User Info',
-        action: () => this.showUserInfo(username),
+        action: () => this.showUserInfo(username, userId),
         className: 'wl-context-menu-info'
       });
 
+      const messageElement = this.targetElement?.closest(MESSAGE_SELECTORS.messageContainer);
+      if (messageElement) {
+        options.push({
+          label: '🔍 Explain',
+          action: () => this.explainMessage(messageElement.id),
+          className: 'wl-context-menu-info'
+        });
+      }
+
       options.push({ separator: true });
 
       const collections = this.storageManager.getAllCollections();
@@ -3175,6 +8593,27 @@
         });
       }
 
+      const route = this.storageManager.currentRoute || parseDiscordRoute();
+      if (route.channelId) {
+        const current = this.storageManager.getDisplayOverrides().channels[route.channelId]?.mode || null;
+        const choices = [
+          { label: 'Default', mode: null },
+          { label: 'Off', mode: DISPLAY_OVERRIDE_MODES.off },
+          { label: 'Collapse', mode: DISPLAY_OVERRIDE_MODES.collapse },
+          { label: 'Group', mode: DISPLAY_OVERRIDE_MODES.group },
+          { label: 'Highlight', mode: DISPLAY_OVERRIDE_MODES.highlight },
+          { label: 'Hide', mode: DISPLAY_OVERRIDE_MODES.hide },
+        ];
+        options.push({
+          label: '📺 Filtering in this channel',
+          submenu: choices.map(choice => ({
+            label: choice.label + (choice.mode === current ? ' ✓' : ''),
+            action: () => this.setChannelOverride(route.channelId, choice.mode),
+            className: choice.mode === current ? 'wl-context-menu-current' : ''
+          }))
+        });
+      }
+
       options.push({
         label: '⚙️ Whitelist Settings',
         action: () => this.openSettings(),
@@ -3290,54 +8729,87 @@
         this.menuElement = null;
         this.activeMenu = null;
         this.targetUsername = null;
+        this.targetUserId = null;
         this.targetElement = null;
       }
     }
 
+    getListLabel() {
+      return this.whitelistManager.getListMode() === LIST_MODES.blacklist ? 'mute list' : 'whitelist';
+    }
+
     // Action handlers
-    async addToWhitelist(username) {
-      const success = await this.whitelistManager.addUser(username, { source: 'context-menu' });
-      if (success) {
-        log(`Added ${username} to whitelist via context menu`);
-        this.showNotification(`✅ Added ${username} to whitelist`);
-        // Refresh the filter to update message visibility
-        if (this.filterEngine) {
-          this.filterEngine.refresh();
-        }
-        // Update UI if visible
-        if (this.uiManager && this.uiManager.isVisible) {
-          this.uiManager.refresh();
-        }
+    async addToWhitelist(username, userId = null, durationMs = null) {
+      const listLabel = this.getListLabel();
+      const expiresAt = durationMs ? new Date(Date.now() + durationMs) : null;
+      const durationLabel = durationMs ? ` for ${formatTimeRemaining(durationMs)}` : '';
+      let result;
+      try {
+        result = await this.whitelistManager.addUser(username, { source: 'context-menu', userId, expiresAt }, { withStep: true });
+      } catch (e) {
+        this.showNotification(`❌ Could not add ${username}: ${e.message}`, 5000);
+        return;
+      }
+      // Messages and the panel follow the whitelist:user_added event
+      if (result.added) {
+        log(`Added ${username} to ${listLabel}${durationLabel} via context menu`);
+        this.showNotification(`✅ Added ${username} to ${listLabel}${durationLabel}`, 5000, result.step);
       } else {
-        this.showNotification(`❌ Failed to add ${username} to whitelist`);
+        this.showNotification(`❌ Failed to add ${username} to ${listLabel}`);
       }
     }
 
-    async removeFromWhitelist(username) {
-      const success = await this.whitelistManager.removeUser(username);
-      if (success) {
-        log(`Removed ${username} from whitelist via context menu`);
-        this.showNotification(`✅ Removed ${username} from whitelist`);
-        // Refresh the filter to update message visibility
-        if (this.filterEngine) {
-          this.filterEngine.refresh();
-        }
-        // Update UI if visible
-        if (this.uiManager && this.uiManager.isVisible) {
-          this.uiManager.refresh();
-        }
+    async removeFromWhitelist(username, userId = null) {
+      const listLabel = this.getListLabel();
+
+      // Users matched by a glob/regex can't be removed individually
+      const entry = this.whitelistManager.findEntry(username, userId);
+      if (entry && entry.type !== 'literal') {
+        this.showNotification(`ℹ️ ${username} matches the ${entry.type} "${entry.username}" - edit it in the panel`, 5000);
+        return;
+      }
+
+      // Matched through a combined collection; edits only apply to the active one
+      const owner = this.whitelistManager.getEntryCollection(entry);
+      const activeCollection = this.storageManager.getActiveCollection();
+      if (owner && activeCollection && owner.id !== activeCollection.id) {
+        this.showNotification(`ℹ️ ${username} is listed in combined collection "${owner.name}" - switch to it to remove`, 5000);
+        return;
+      }
+
+      const result = await this.whitelistManager.removeUser(username, userId, { withStep: true });
+      // Messages and the panel follow the whitelist:user_removed event
+      if (result.removed) {
+        log(`Removed ${username} from ${listLabel} via context menu`);
+        this.showNotification(`✅ Removed ${username} from ${listLabel}`, 5000, result.step);
       } else {
-        this.showNotification(`❌ Failed to remove ${username} from whitelist`);
+        this.showNotification(`❌ Failed to remove ${username} from ${listLabel}`);
       }
     }
 
-    showUserInfo(username) {
-      const isWhitelisted = this.whitelistManager.isWhitelisted(username);
+    showUserInfo(username, userId = null) {
+      const isWhitelisted = this.whitelistManager.isWhitelisted(username, userId);
       const collection = this.storageManager.getActiveCollection();
-      const userEntry = collection.entries.get(username.toLowerCase());
+      const userEntry = this.whitelistManager.findEntry(username, userId);
 
       let info = `👤 User: ${username}\n`;
-      info += `📋 Status: ${isWhitelisted ? 'Whitelisted ✅' : 'Not whitelisted ❌'}\n`;
+      if (userId) {
+        info += `🆔 ID: ${userId}\n`;
+      }
+      const owner = this.whitelistManager.getEntryCollection(userEntry);
+      if (owner && owner.id !== collection.id) {
+        info += `🔗 Via combined collection: ${owner.name}\n`;
+      }
+      if (userEntry && userEntry.type !== 'literal') {
+        info += `🔣 Matched by ${userEntry.type}: ${userEntry.username}\n`;
+      } else if (userEntry && userEntry.username !== username) {
+        info += `🏷️ Listed as: ${userEntry.username}\n`;
+      }
+      if (this.whitelistManager.getListMode() === LIST_MODES.blacklist) {
+        info += `📋 Status: ${isWhitelisted ? 'Muted 🔇' : 'Not muted 🔊'}\n`;
+      } else {
+        info += `📋 Status: ${isWhitelisted ? 'Whitelisted ✅' : 'Not whitelisted ❌'}\n`;
+      }
       info += `📂 Collection: ${collection.name}\n`;
 
       if (userEntry) {
@@ -3348,25 +8820,62 @@
         if (userEntry.notes) {
           info += `📝 Notes: ${userEntry.notes}\n`;
         }
+        if (userEntry.expiresAt) {
+          info += `⏳ Expires in: ${formatTimeRemaining(userEntry.expiresAt.getTime() - Date.now())}\n`;
+        }
       }
 
       // Show info in a temporary notification
       this.showNotification(info, 5000);
     }
 
+    setChannelOverride(channelId, mode) {
+      try {
+        this.storageManager.setDisplayOverride('channel', channelId, mode, getCurrentChannelName());
+        this.showNotification(mode ? `📺 Filtering in this channel: ${mode}` : '📺 This channel uses the default display mode');
+      } catch (e) {
+        this.showNotification(`❌ Could not change channel filtering: ${e.message}`, 5000);
+      }
+    }
+
+    explainMessage(messageId) {
+      const explanation = this.filterEngine.explain(messageId);
+      if (!explanation.found) {
+        this.showNotification('❌ Message is no longer on the page');
+        return;
+      }
+
+      const { author, collection, entry, decision, display, overrides, cache } = explanation;
+      let info = `🔍 Why this message looks like this\n\n`;
+      info += `👤 Author: ${author.username || 'not found'}${author.userId ? ` (${author.userId})` : ''}\n`;
+      info += `🧭 Found via: ${author.strategy}${author.strategy === 'previous-message' ? ` ${author.sourceMessageId}` : ''}\n`;
+      if (collection) {
+        info += `📂 Collection: ${collection.name} (${collection.listMode}${collection.combination !== COMBINATION_MODES.single ? `, ${collection.combination}` : ''})\n`;
+      }
+      info += entry
+        ? `📋 Entry: ${entry.username} [${entry.type}]${entry.collection ? ` in ${entry.collection}` : ''}\n`
+        : `📋 Entry: none\n`;
+      info += `⚖️ Decision: ${decision.action} via ${decision.source}${decision.rule ? ` "${decision.rule}"` : ''}\n`;
+      if (decision.exemption) {
+        info += `🛟 Exempt: ${decision.exemption}\n`;
+      }
+      info += `🖥️ Display: ${display.mode}${display.classes.length ? ` [${display.classes.join(', ')}]` : ''}\n`;
+      if (overrides.toggle) info += `👁️ Override: toggled visible\n`;
+      if (overrides.showAllTemp) info += `👁️ Override: show all\n`;
+      if (overrides.filteringDisabled) info += `👁️ Override: filtering disabled\n`;
+      info += `💾 Cache: ${cache.hit ? (cache.stale ? 'stale' : 'hit') : 'miss'}`;
+
+      log('Explain', explanation);
+      this.showNotification(info, 10000);
+    }
+
     switchCollection(collectionId) {
-      this.storageManager.setActiveCollection(collectionId);
       const collection = this.storageManager.getCollection(collectionId);
       if (collection) {
+        // collection:switched re-filters the messages and updates the panel
+        this.storageManager.switchActiveCollection(collectionId);
         log(`Switched to collection: ${collection.name}`);
         this.showNotification(`🔄 Switched to collection: ${collection.name}`);
-        // Refresh everything
-        if (this.filterEngine) {
-          this.filterEngine.refresh();
-        }
-        if (this.uiManager && this.uiManager.isVisible) {
-          this.uiManager.refresh();
-        }
       }
     }
 
@@ -3379,7 +8888,8 @@
       }
     }
 
-    showNotification(message, duration = 3000) {
+    // With an edit history step, the notification offers to undo exactly that step
+    showNotification(message, duration = 3000, undoStep = null) {
       // Create a temporary notification
       const notification = document.createElement('div');
       notification.className = 'wl-context-notification';
@@ -3401,6 +8911,21 @@
       `;
       notification.textContent = message;
 
+      if (undoStep) {
+        const undo = document.createElement('button');
+        undo.className = 'wl-notification-undo';
+        undo.textContent = 'Undo';
+        undo.addEventListener('click', () => {
+          try {
+            this.storageManager.history.undo(undoStep.id);
+            notification.textContent = `↩️ Undone: ${undoStep.label}`;
+          } catch (e) {
+            notification.textContent = `❌ ${e.message}`;
+          }
+        });
+        notification.appendChild(undo);
+      }
+
       document.body.appendChild(notification);
 
       setTimeout(() => {
@@ -3485,6 +9010,21 @@
           color: #ed4245;
         }
 
+        .wl-notification-undo {
+          margin-left: 12px;
+          padding: 2px 10px;
+          background: rgba(255, 255, 255, 0.2);
+          border: 1px solid rgba(255, 255, 255, 0.5);
+          border-radius: 4px;
+          color: white;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .wl-notification-undo:hover {
+          background: rgba(255, 255, 255, 0.35);
+        }
+
         @keyframes wl-slide-in {
           from {
             transform: translateX(100%);
@@ -3512,12 +9052,20 @@
   }
 
   // Initialize UI Manager
-  const uiManager = new UIManager(whitelistManager, filterEngine, storageManager);
+  const uiManager = new UIManager(whitelistManager, filterEngine, storageManager, selectorPacks, selectorHealth, backupManager);
 
   // Initialize Context Menu Manager
   const contextMenuManager = new ContextMenuManager(whitelistManager, uiManager, filterEngine, storageManager);
   contextMenuManager.initialize();
 
+  // Start route tracking once every listener is in place, then pick the collection for this page
+  routeWatcher.start();
+  storageManager.applyRoute(routeWatcher.current);
+  expiryScheduler.start();
+  crossTabSync.start();
+  backupManager.start();
+  selectorHealth.start();
+
   // --- Enhanced Public API (exposed on window for dev/testing) ---
   const API = {
     version: VERSION,
@@ -3553,14 +9101,37 @@
     whitelist: {
       manager: whitelistManager,
       add: (username, options) => whitelistManager.addUser(username, options),
-      remove: (username) => whitelistManager.removeUser(username),
-      isWhitelisted: (username) => whitelistManager.isWhitelisted(username),
+      remove: (username, userId) => whitelistManager.removeUser(username, userId),
+      addTemporary: (username, durationMs, options = {}) =>
+        whitelistManager.addUser(username, { ...options, expiresAt: new Date(Date.now() + durationMs) }),
+      removeExpired: () => whitelistManager.removeExpiredEntries().map(({ entry }) => entry.username),
+      isWhitelisted: (username, userId) => whitelistManager.isWhitelisted(username, userId),
+      findEntry: (username, userId) => whitelistManager.findEntry(username, userId)?.toJSON() || null,
+      validate: (entry) => validateEntryText(entry),
+      getCapacity: () => whitelistManager.getCapacity(),
+      isCaseSensitive: () => whitelistManager.isCaseSensitive(),
+      setCaseSensitive: (caseSensitive) => whitelistManager.setCaseSensitive(caseSensitive),
+      isAllowed: (username, userId) => whitelistManager.isAllowed(username, userId),
+      getMode: () => whitelistManager.getListMode(),
+      setMode: (mode) => whitelistManager.setListMode(mode),
       getAll: () => whitelistManager.getWhitelist(),
       clear: () => whitelistManager.clearWhitelist(),
       bulkUpdate: (operations) => whitelistManager.bulkUpdate(operations),
       getStats: () => whitelistManager.getStats(),
     },
 
+    // Ordered filter rules of the active collection
+    rules: {
+      get: () => whitelistManager.getRules(),
+      getText: () => whitelistManager.getRulesAsText(),
+      // Accepts rule lines ("has attachment -> collapse", "default -> list") or rule objects
+      set: (rules, defaultAction) => rules.every(rule => typeof rule === 'string')
+        ? whitelistManager.setRulesFromText(rules)
+        : whitelistManager.setRules(rules, defaultAction),
+      parse: (line) => parseRule(line),
+      format: (rule) => formatRule(rule),
+    },
+
     collections: {
       manager: storageManager,
       getActive: () => storageManager.getActiveCollection()?.toJSON(),
@@ -3569,6 +9140,15 @@
       delete: (id) => storageManager.deleteCollection(id),
       switch: (id) => storageManager.switchActiveCollection(id),
       get: (id) => storageManager.getCollection(id)?.toJSON(),
+      getScope: (id) => storageManager.getCollection(id)?.getScope() || null,
+      setScope: (id, scope) => storageManager.setCollectionScope(id, scope),
+      getRoute: () => ({ ...routeWatcher.current }),
+      getCombination: () => storageManager.getCombination(),
+      combine: (mode, collections) => storageManager.setCombination({ mode, collections }),
+      getActiveIds: () => storageManager.getActiveCollections().map(c => c.id),
+      getAccentColor: () => storageManager.getActiveCollection()?.getAccentColor() || DEFAULT_ACCENT_COLOR,
+      setAccentColor: (color) => whitelistManager.setAccentColor(color),
+      findForRoute: (route = routeWatcher.current) => storageManager.findCollectionForRoute(route),
     },
 
     search: {
@@ -3582,6 +9162,23 @@
       import: (data, format) => dataManager.importWhitelist(data, format),
     },
 
+    history: {
+      undo: () => storageManager.history.undo(),
+      redo: () => storageManager.history.redo(),
+      getState: () => storageManager.history.getState(),
+      clear: () => storageManager.history.clear(),
+    },
+
+    backups: {
+      manager: backupManager,
+      list: () => backupManager.list(),
+      create: () => backupManager.create(),
+      restore: (id) => backupManager.restore(id),
+      delete: (id) => backupManager.delete(id),
+      getSettings: () => storageManager.getStoragePreferences(),
+      setSettings: (changes) => backupManager.setSettings(changes),
+    },
+
     events: {
       on: (event, handler) => eventBus.on(event, handler),
       off: (event, handler) => eventBus.off(event, handler),
@@ -3591,7 +9188,25 @@
     // System information
     system: {
       version: VERSION,
-      storageType: Storage.type,
+      // Where collections are kept: "indexedDB" once it has opened, otherwise the Storage backend
+      get storageType() {
+        return storageManager.getStorageType();
+      },
+      ready: () => storageManager.ready,
+      flush: () => storageManager.flushCollections(),
+      // Stored schema version, what happened to it on load, and whether saving is blocked
+      getSchema: () => storageManager.getSchemaInfo(),
+      // Dry run of the pending migrations against the stored data: { from, to, steps, problems }
+      checkMigrations: async () => {
+        await storageManager.ready;
+        const store = storageManager.collectionStore;
+        const records = store ? await store.readAll() : null;
+        const storeCollections = records && records.collections.length > 0
+          ? storageManager.joinCollectionRecords(records.collections, records.entries)
+          : null;
+        const { from, to, steps, problems } = storageManager.dryRunMigrations(storeCollections);
+        return { from, to, steps, problems };
+      },
       getConfig: () => ({ ...storageManager.config }),
       setConfig: (partial) => {
         // Deep merge for nested objects like globalSettings
@@ -3630,26 +9245,54 @@
       initialize: () => filterEngine.initialize(),
       shutdown: () => filterEngine.shutdown(),
       refresh: () => filterEngine.refreshAllMessages(),
+      refreshAuthor: (username, userId) => filterEngine.refreshAuthor(username, userId),
       clear: () => filterEngine.clearAllFiltering(),
       getStats: () => filterEngine.getStats(),
       resetStats: () => filterEngine.resetStats(),
       isEnabled: () => filterEngine.isEnabled(),
+      getDecision: (messageId) => filterEngine.getDecision(messageId),
+      getDisplayMode: () => filterEngine.getEffectiveDisplayMode(),
+      getOverrides: () => storageManager.getDisplayOverrides(),
+      setChannelOverride: (channelId, mode) => storageManager.setDisplayOverride('channel', channelId, mode),
+      setServerOverride: (guildId, mode) => storageManager.setDisplayOverride('server', guildId, mode),
+      getViewportMargin: () => storageManager.getViewportMargin(),
+      setViewportMargin: (margin) => storageManager.setViewportMargin(margin),
+      getHighlightStyle: () => storageManager.getHighlightStyle(),
+      setHighlightStyle: (changes) => storageManager.setHighlightStyle(changes),
+      explain: (messageId) => filterEngine.explain(messageId),
+      getExemptions: () => storageManager.getExemptions(),
+      setExemptions: (changes) => storageManager.setExemptions(changes),
+      getCurrentUser: () => filterEngine.currentUser.detect(),
 
       // Toggle switches for individual messages
       toggles: {
         get: (messageId) => MessageToggleSwitch.getToggleState(messageId),
         set: (messageId, state) => {
-          MessageToggleSwitch.toggleStates.set(messageId, state);
-          const messageElement = document.getElementById(messageId);
-          if (messageElement) {
-            filterEngine.filterMessage(messageElement);
-          }
+          MessageToggleSwitch.setToggleState(messageId, state, document.getElementById(messageId));
+          MessageToggleSwitch.refresh(messageId);
         },
         clear: () => MessageToggleSwitch.clearAllToggles(),
-        getAll: () => Array.from(MessageToggleSwitch.toggleStates.entries())
+        getAll: () => storageManager.getToggleOverrides().map(record => [record.messageId, true]),
+        getRecords: () => storageManager.getToggleOverrides(),
+        getSettings: () => storageManager.getToggleOverrideSettings(),
+        setSettings: (changes) => storageManager.setToggleOverrideSettings(changes),
+        prune: () => storageManager.pruneToggleOverrides()
       },
     },
 
+    // Discord DOM selectors
+    selectors: {
+      getPack: () => selectorPacks.getInfo(),
+      getSelectors: () => ({ ...MESSAGE_SELECTORS }),
+      getBuiltin: () => JSON.parse(JSON.stringify(BUILTIN_SELECTOR_PACK)),
+      load: (pack) => selectorPacks.install(pack, 'api'),
+      loadFromText: (text) => selectorPacks.loadFromText(text, 'api'),
+      loadFromUrl: (url) => selectorPacks.loadFromUrl(url),
+      reset: () => selectorPacks.reset(),
+      check: () => selectorHealth.check(),
+      getHealth: () => ({ ...selectorHealth.result }),
+    },
+
     // User Interface
     ui: {
       manager: uiManager,
@@ -3661,30 +9304,34 @@
     // Context menu controls
     contextMenu: {
       manager: contextMenuManager,
-      show: (x, y, username) => {
+      show: (x, y, username, userId = null) => {
         if (username) {
           contextMenuManager.targetUsername = username;
-          const isWhitelisted = whitelistManager.isWhitelisted(username);
-          const options = contextMenuManager.buildMenuOptions(username, isWhitelisted);
+          contextMenuManager.targetUserId = userId;
+          const isWhitelisted = whitelistManager.isWhitelisted(username, userId);
+          const options = contextMenuManager.buildMenuOptions(username, isWhitelisted, userId);
           contextMenuManager.createMenu(options);
           contextMenuManager.showMenu(x, y);
         }
       },
       hide: () => contextMenuManager.hideMenu(),
-      addUser: (username) => contextMenuManager.addToWhitelist(username),
-      removeUser: (username) => contextMenuManager.removeFromWhitelist(username),
-      showUserInfo: (username) => contextMenuManager.showUserInfo(username),
+      addUser: (username, userId) => contextMenuManager.addToWhitelist(username, userId),
+      removeUser: (username, userId) => contextMenuManager.removeFromWhitelist(username, userId),
+      showUserInfo: (username, userId) => contextMenuManager.showUserInfo(username, userId),
     },
 
     // Developer utilities
     dev: {
       rebuildCache: () => whitelistManager.rebuildLookupCache(),
-      migrateData: () => storageManager.migrateLegacyData(),
       clearAllData: () => {
         Storage.remove(STORAGE_KEY);
         Storage.remove(COLLECTIONS_KEY);
         Storage.remove(CONFIG_KEY);
-        location.reload();
+        Storage.remove(TOGGLE_OVERRIDES_KEY);
+        Storage.remove(SCHEMA_KEY);
+        storageManager.clearCollectionStore()
+          .catch(e => console.error("[WL] IndexedDB clear failed:", e))
+          .finally(() => location.reload());
       },
       testButtons: () => {
         const panel = document.querySelector('.wl-panel-container');
@@ -3711,7 +9358,8 @@
       },
       exportDebugInfo: () => ({
         version: VERSION,
-        storageType: Storage.type,
+        storageType: storageManager.getStorageType(),
+        schema: storageManager.getSchemaInfo(),
         config: storageManager.config,
         collections: storageManager.getAllCollections().map(c => c.toJSON()),
         stats: whitelistManager.getStats(),
@@ -3726,11 +9374,13 @@
 
   // System startup logging
   log("Storage backend:", Storage.type);
-  if (Storage.type === "memory") {
-    console.warn(
-      "[WL] WARNING: Using non-persistent in-memory storage. State will be lost on reload. Add GM grants to the loader or enable page localStorage."
-    );
-  }
+  storageManager.ready.then(type => {
+    if (type === "memory") {
+      console.warn(
+        "[WL] WARNING: Using non-persistent in-memory storage. State will be lost on reload. Add GM grants to the loader or enable page localStorage."
+      );
+    }
+  });
 
   const activeCollection = storageManager.getActiveCollection();
   log("Loaded", VERSION);
@@ -3748,6 +9398,12 @@
       filterEngine,
       uiManager,
       eventBus,
+      routeWatcher,
+      expiryScheduler,
+      crossTabSync,
+      backupManager,
+      selectorPacks,
+      selectorHealth,
       Storage,
     };
   }